@@ -0,0 +1,146 @@
+'use strict';
+
+// Register explorer limits
+const MAX_ADDRESSES = 50;
+const MAX_ADDRESS = 0xFFFF;
+
+/**
+ * All Genvex devices, with their driver.
+ */
+function genvexDevices(homey) {
+  const result = [];
+  for (const driver of Object.values(homey.drivers.getDrivers())) {
+    for (const device of driver.getDevices()) {
+      result.push({ driver, device });
+    }
+  }
+  return result;
+}
+
+function findDevice(homey, id) {
+  const found = genvexDevices(homey).find(({ device }) => device.getData().id === id);
+  if (!found) {
+    throw new Error(`Unknown device: ${id}`);
+  }
+  return found.device;
+}
+
+/**
+ * Parse a register address list like "20,21,30-35".
+ * @param {string} text
+ * @returns {number[]}
+ */
+function parseAddresses(text) {
+  const addresses = new Set();
+  for (const part of String(text || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    // A single address, or a range of two
+    const match = part.match(/^(\d+)$/) || part.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid address: ${part}`);
+    }
+    const from = Number(match[1]);
+    const to = match[2] !== undefined ? Number(match[2]) : from;
+    if (from > to || to > MAX_ADDRESS) {
+      throw new Error(`Invalid address: ${part}`);
+    }
+    // Before expanding, so a huge range is refused without building it
+    if (to - from + 1 > MAX_ADDRESSES) {
+      throw new Error(`At most ${MAX_ADDRESSES} addresses per read`);
+    }
+    for (let address = from; address <= to; address++) {
+      addresses.add(address);
+    }
+    if (addresses.size > MAX_ADDRESSES) {
+      throw new Error(`At most ${MAX_ADDRESSES} addresses per read`);
+    }
+  }
+  if (addresses.size === 0) {
+    throw new Error('No addresses given');
+  }
+  return [...addresses];
+}
+
+module.exports = {
+  /**
+   * Alarm history of every Genvex device, or of one device.
+   * Query: device (device ID), limit, since (ms timestamp)
+   */
+  async getAlarms({ homey, query }) {
+    const options = {
+      limit: query.limit ? Number(query.limit) : undefined,
+      since: query.since ? Number(query.since) : undefined
+    };
+
+    const result = [];
+    for (const { driver, device } of genvexDevices(homey)) {
+      const { id } = device.getData();
+      if (query.device && query.device !== id) continue;
+      if (typeof device.getAlarmHistory !== 'function') continue;
+
+      result.push({
+        device: id,
+        name: device.getName(),
+        driver: driver.id,
+        ...device.getAlarmHistory(options)
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Paired devices, for the register explorer.
+   */
+  async getDevices({ homey }) {
+    return genvexDevices(homey).map(({ driver, device }) => ({
+      id: device.getData().id,
+      name: device.getName(),
+      driver: driver.id,
+      connected: Boolean(device.genvex && device.genvex.isConnected())
+    }));
+  },
+
+  /**
+   * Read raw registers.
+   * Query: device (device ID), type ('datapoint' or 'setpoint'),
+   * addresses (e.g. "20,21,30-35")
+   */
+  async readRegisters({ homey, query }) {
+    if (query.type !== 'datapoint' && query.type !== 'setpoint') {
+      throw new Error('type must be datapoint or setpoint');
+    }
+    const device = findDevice(homey, query.device);
+    return device.readRegisters(query.type, parseAddresses(query.addresses));
+  },
+
+  /**
+   * Write a raw setpoint value.
+   * Body: device (device ID), address (setpoint write address), value (raw
+   * int16 or uint16), confirm (must be true)
+   */
+  async writeRegister({ homey, body }) {
+    if (!body || body.confirm !== true) {
+      throw new Error('Write not confirmed');
+    }
+    const address = Number(body.address);
+    const value = Number(body.value);
+    if (!Number.isInteger(address) || address < 0 || address > MAX_ADDRESS) {
+      throw new Error(`Invalid address: ${body.address}`);
+    }
+    if (!Number.isInteger(value) || value < -0x8000 || value > 0xFFFF) {
+      throw new Error(`Invalid value: ${body.value}`);
+    }
+
+    const device = findDevice(homey, body.device);
+    await device.writeRegister(address, value);
+    return { address, value };
+  },
+
+  /**
+   * Packet capture of a device, in the NabtoCapture export format.
+   * Query: device (device ID)
+   */
+  async getCapture({ homey, query }) {
+    const device = findDevice(homey, query.device);
+    return device.getCapture();
+  }
+};
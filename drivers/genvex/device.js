@@ -0,0 +1,9 @@
+'use strict';
+const { GenvexHomeyDevice } = require('../../lib/homey');
+
+class GenvexDevice extends GenvexHomeyDevice {
+
+  static FLOW_PREFIX = 'genvex_';
+}
+
+module.exports = GenvexDevice;
@@ -0,0 +1,7 @@
+'use strict';
+const { GenvexHomeyDriver } = require('../../lib/homey');
+
+class GenvexDriver extends GenvexHomeyDriver {
+}
+
+module.exports = GenvexDriver;
@@ -0,0 +1,108 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { getAlarmCategory } = require('./AlarmMessages');
+
+const MAX_ENTRIES = 100;
+
+/**
+ * Alarm lifecycle: turns the alarm codes the unit reports into raised and
+ * cleared events, and keeps a history of past alarms with raise and clear
+ * times.
+ *
+ * Units that report several alarms at once (see AlarmMessages.decodeAlarms)
+ * can have more than one active; each is raised and cleared on its own, so
+ * a change from one set of codes to another clears the codes that went away
+ * and raises the new ones. Alarms that were active when the app stopped are
+ * picked up again if the unit still reports them, and cleared otherwise.
+ *
+ * State ({ active, entries }) is emitted on every change so the owner can
+ * persist it and hand it back as the `state` option.
+ *
+ * Events:
+ *   'state'   (state)                                    - persist it
+ *   'raised'  ({ code, category, raisedAt })
+ *   'cleared' ({ code, category, raisedAt, clearedAt, duration }) - duration in ms
+ */
+class AlarmHistory extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.model = options.model; // AlarmMessages catalog to categorise codes with
+
+    const state = options.state || {};
+    this.active = state.active || [];
+    this.entries = state.entries || [];
+  }
+
+  /**
+   * Feed the alarm codes the unit reports.
+   * @param {number[]|number} codes - active codes; a single code (0 for no alarm) is accepted too
+   * @param {number} [now=Date.now()]
+   */
+  update(codes, now = Date.now()) {
+    if (typeof codes === 'number') codes = codes === 0 ? [] : [codes];
+    if (!Array.isArray(codes)) return;
+    codes = codes.filter(code => typeof code === 'number' && !isNaN(code) && code !== 0);
+
+    const cleared = this.active.filter(alarm => !codes.includes(alarm.code));
+    const raised = [...new Set(codes)].filter(code => !this.active.some(alarm => alarm.code === code));
+    if (cleared.length === 0 && raised.length === 0) return;
+
+    for (const alarm of cleared) {
+      this._clear(alarm, now);
+    }
+    for (const code of raised) {
+      this._raise(code, now);
+    }
+    this._emitState();
+  }
+
+  /**
+   * The alarms active right now, oldest first.
+   * @returns {{ code: number, category: string, raisedAt: number }[]}
+   */
+  getActive() {
+    return this.active.map(alarm => ({ ...alarm }));
+  }
+
+  /**
+   * Past and current alarms, newest first. The active alarm has
+   * clearedAt and duration null.
+   * @param {{ limit?: number, since?: number }} [options]
+   * @returns {{ code: number, category: string, raisedAt: number, clearedAt: number|null, duration: number|null }[]}
+   */
+  getHistory(options = {}) {
+    let entries = this.entries;
+    if (options.since) entries = entries.filter(e => e.raisedAt >= options.since);
+    if (options.limit) entries = entries.slice(0, options.limit);
+    return entries.map(e => ({ ...e }));
+  }
+
+  _raise(code, now) {
+    const alarm = { code, category: getAlarmCategory(code, this.model), raisedAt: now };
+    this.active.push(alarm);
+    this.entries.unshift({ ...alarm, clearedAt: null, duration: null });
+    this.entries = this.entries.slice(0, this.maxEntries);
+    this.emit('raised', { ...alarm });
+  }
+
+  _clear(alarm, now) {
+    const { code, category, raisedAt } = alarm;
+    const duration = now - raisedAt;
+    const entry = this.entries.find(e => e.raisedAt === raisedAt && e.code === code);
+    if (entry) {
+      entry.clearedAt = now;
+      entry.duration = duration;
+    }
+    this.active = this.active.filter(a => a !== alarm);
+    this.emit('cleared', { code, category, raisedAt, clearedAt: now, duration });
+  }
+
+  _emitState() {
+    this.emit('state', { active: this.active, entries: this.entries });
+  }
+}
+
+module.exports = AlarmHistory;
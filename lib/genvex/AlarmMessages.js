@@ -1,90 +1,197 @@
 'use strict';
 
+const { AlarmEncoding } = require('./RegisterTypes');
+
 /**
- * Alarm code to message mapping for Genvex devices
+ * Alarm catalogs for Genvex devices
+ *
+ * The alarm code is read from the model's ALARM register. Code 0 means no
+ * alarm. The Optima 270 and 251 controllers use different code sets, so
+ * each model has its own catalog, keyed by the ModelRegistry id.
+ *
+ * The catalogs only hold what doesn't depend on language: the category
+ * (for flow conditions), the severity and which recommended action applies.
+ * Messages and actions are translated in the `alarms` section of the
+ * locales files:
  *
- * The alarm code is read from register address 38.
- * Code 0 means no alarm.
- * Other codes correspond to specific alarm conditions.
+ *   alarms.<model>.<code>  - message
+ *   alarms.actions.<id>    - recommended action
+ *   alarms.none, alarms.unknown
  *
- * Messages sourced from Genvex user manual page 9, "LED 2: Alarm"
+ * How the register packs codes (one code, or several as bits) is declared on
+ * the register as `alarmEncoding`; see decodeAlarms.
+ *
+ * Optima 270 messages sourced from Genvex user manual page 9, "LED 2: Alarm"
  */
 
-const AlarmMessages = {
-  // Alarm messages by language
-  // Key is the alarm code (number), value is the message
-  en: {
-    0: 'No alarm',
-    1: 'Stop control - check level guard if installed and condensate drain',
-    2: 'Temperature sensor and humidity sensor error',
-    3: 'Filter alarm',
-    4: 'Fan error - check fan, RPM gives 0 signal',
-    5: 'Water frost error',
-    6: 'Fire error/during test',
-    7: 'Fire error - Damper 1',
-    8: 'Fire error - Damper 2',
-    9: 'Fire error - Box 1',
-    10: 'Fire error - Damper 3',
-    11: 'Fire error - Damper 4',
-    12: 'Fire error - Box 2',
-    13: 'Rotor alarm - indicates high exhaust temperature and ineffective heat recovery. Check drive belt and air balance'
+const DEFAULT_MODEL = 'optima270';
+const DEFAULT_LANGUAGE = 'en';
+
+// Severity levels, most severe first
+const AlarmSeverity = {
+  CRITICAL: 'critical', // unit stopped or safety function triggered
+  WARNING: 'warning',   // running with reduced function, needs attention
+  INFO: 'info'          // maintenance due
+};
+
+const AlarmCatalogs = {
+  optima270: {
+    1: { category: 'stop', severity: 'critical', action: 'check_condensate' },
+    2: { category: 'sensor', severity: 'warning', action: 'check_sensors' },
+    3: { category: 'filter', severity: 'info', action: 'replace_filter' },
+    4: { category: 'fan', severity: 'critical', action: 'check_fans' },
+    5: { category: 'frost', severity: 'critical', action: 'check_heating_coil' },
+    6: { category: 'fire', severity: 'warning', action: 'wait_fire_test' },
+    7: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    8: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    9: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    10: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    11: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    12: { category: 'fire', severity: 'critical', action: 'check_fire_damper' },
+    13: { category: 'rotor', severity: 'warning', action: 'check_rotor' }
   },
-  da: {
-    0: 'Ingen alarm',
-    1: 'Stop styring - tjek niveauvagt hvis monteret og kondensafløb',
-    2: 'Temperaturfører og fugtfølerfejl',
-    3: 'Filteralarm',
-    4: 'Ventilatorfejl - tjek ventilator, omdrejningstal/RPM giver 0 signal',
-    5: 'Vandfrostfejl',
-    6: 'Brandfejl/ved test',
-    7: 'Brandfejl - Spjæld 1',
-    8: 'Brandfejl - Spjæld 2',
-    9: 'Brandfejl - Boks 1',
-    10: 'Brandfejl - Spjæld 3',
-    11: 'Brandfejl - Spjæld 4',
-    12: 'Brandfejl - Boks 2',
-    13: 'Rotoralarm - indikerer høj afkast temperatur og ineffektiv varmegenvinding. Tjek drivrem og luftbalance'
+  optima251: {
+    1: { category: 'filter', severity: 'info', action: 'replace_filter' },
+    2: { category: 'fan', severity: 'critical', action: 'check_fans' },
+    3: { category: 'fan', severity: 'critical', action: 'check_fans' },
+    4: { category: 'frost', severity: 'warning', action: 'check_frost_protection' },
+    5: { category: 'frost', severity: 'critical', action: 'check_heating_coil' },
+    6: { category: 'fire', severity: 'critical', action: 'check_fire_alarm' },
+    7: { category: 'sensor', severity: 'warning', action: 'check_sensors' },
+    8: { category: 'stop', severity: 'critical', action: 'check_external_stop' }
   }
 };
 
+// Parsed locales files by language; null when a language has no file
+const localeCache = {};
+
+function loadLocale(language) {
+  if (!(language in localeCache)) {
+    try {
+      localeCache[language] = require(`../../locales/${language}.json`);
+    } catch (err) {
+      localeCache[language] = null;
+    }
+  }
+  return localeCache[language];
+}
+
 /**
- * Get alarm message for a given code and language
- * @param {number} code - The alarm code from the device
- * @param {string} language - Language code ('en', 'da', etc.)
- * @returns {string} The alarm message, or a default unknown message
+ * Look up a string in the alarms section of a locale, falling back to English.
+ * Replaces __name__ placeholders like Homey's own i18n.
  */
-function getAlarmMessage(code, language = 'en') {
-  const messages = AlarmMessages[language] || AlarmMessages.en;
+function translate(language, path, tokens = {}) {
+  for (const lang of [language, DEFAULT_LANGUAGE]) {
+    const locale = loadLocale(lang);
+    let value = locale && locale.alarms;
+    for (const key of path) {
+      value = value && value[key];
+    }
+    if (typeof value === 'string') {
+      return value.replace(/__(\w+)__/g, (match, name) => (name in tokens ? String(tokens[name]) : match));
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the alarm catalog of a model
+ * @param {string} [model='optima270'] - ModelRegistry id
+ * @returns {Object} alarm code -> { category, severity, action }
+ */
+function getAlarmCatalog(model = DEFAULT_MODEL) {
+  return AlarmCatalogs[model] || AlarmCatalogs[DEFAULT_MODEL];
+}
 
+/**
+ * Get everything known about an alarm code
+ * @param {number} code - The alarm code from the device
+ * @param {{ model?: string, language?: string }} [options]
+ * @returns {{ code: number, known: boolean, category: string|null, severity: string|null, message: string, action: string|null }}
+ */
+function getAlarmInfo(code, { model = DEFAULT_MODEL, language = DEFAULT_LANGUAGE } = {}) {
   if (code === 0) {
-    return messages[0] || AlarmMessages.en[0];
+    return {
+      code,
+      known: true,
+      category: null,
+      severity: null,
+      message: translate(language, ['none']) || 'No alarm',
+      action: null
+    };
   }
 
-  if (messages[code]) {
-    return messages[code];
-  }
+  const entry = getAlarmCatalog(model)[code];
+  const message = entry ? translate(language, [model in AlarmCatalogs ? model : DEFAULT_MODEL, String(code)]) : null;
+  return {
+    code,
+    known: Boolean(entry),
+    category: entry ? entry.category : 'other',
+    severity: entry ? entry.severity : AlarmSeverity.WARNING,
+    message: message || translate(language, ['unknown'], { code }) || `Unknown alarm (code ${code})`,
+    action: entry ? translate(language, ['actions', entry.action]) : null
+  };
+}
 
-  // Fallback to English if available
-  if (AlarmMessages.en[code]) {
-    return AlarmMessages.en[code];
+/**
+ * Get alarm message for a given code and language
+ * @param {number} code - The alarm code from the device
+ * @param {string} [language='en'] - Language code ('en', 'da', etc.)
+ * @param {string} [model='optima270'] - ModelRegistry id
+ * @returns {string} The alarm message, or an unknown-alarm message
+ */
+function getAlarmMessage(code, language = DEFAULT_LANGUAGE, model = DEFAULT_MODEL) {
+  return getAlarmInfo(code, { model, language }).message;
+}
+
+/**
+ * Decode an alarm register value into the alarm codes it reports
+ * @param {number} value - Raw alarm register value
+ * @param {{ encoding?: string }} [options] - encoding is a RegisterTypes.AlarmEncoding
+ * @returns {number[]} Active alarm codes, ascending; empty for no alarm
+ */
+function decodeAlarms(value, { encoding = AlarmEncoding.CODE } = {}) {
+  const raw = Math.round(value);
+  if (!raw || raw < 0) return [];
+
+  if (encoding === AlarmEncoding.CODE) return [raw];
+
+  // Bit n set = code n + 1 (16-bit status word)
+  const codes = [];
+  for (let bit = 0; bit < 16; bit++) {
+    if (raw & (1 << bit)) codes.push(bit + 1);
   }
+  return codes;
+}
 
-  // Unknown alarm code
-  return language === 'da'
-    ? `Ukendt alarm (kode ${code})`
-    : `Unknown alarm (code ${code})`;
+/**
+ * Get the category of an alarm code
+ * @param {number} code - The alarm code from the device
+ * @param {string} [model='optima270'] - ModelRegistry id
+ * @returns {string|null} Category, 'other' for unknown codes, or null for no alarm
+ */
+function getAlarmCategory(code, model = DEFAULT_MODEL) {
+  return getAlarmInfo(code, { model }).category;
 }
 
 /**
- * Get all supported languages
+ * Get all languages with alarm translations
  * @returns {string[]}
  */
 function getSupportedLanguages() {
-  return Object.keys(AlarmMessages);
+  return ['en', 'da', 'de', 'sv', 'no', 'nl'].filter(lang => {
+    const locale = loadLocale(lang);
+    return Boolean(locale && locale.alarms);
+  });
 }
 
 module.exports = {
-  AlarmMessages,
+  AlarmSeverity,
+  AlarmCatalogs,
+  getAlarmCatalog,
+  getAlarmInfo,
   getAlarmMessage,
+  decodeAlarms,
+  getAlarmCategory,
   getSupportedLanguages
 };
@@ -0,0 +1,173 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Timed boost: run the fans at a level for a number of minutes, then put
+ * back the level that was active before.
+ *
+ * The controller doesn't talk to the unit itself; it is given `setLevel`
+ * and `getLevel` functions. Its state ({ level, previousLevel, endsAt }) is
+ * emitted on every change so the owner can persist it, and handed back to
+ * `restore()` after a restart so a pending revert isn't lost.
+ *
+ * Events:
+ *   'state'   (state|null)                  - boost state changed, persist it
+ *   'started' ({ level, previousLevel, minutes })
+ *   'tick'    (remainingMinutes)            - once a minute while boosting
+ *   'ended'   ({ reason, level, previousLevel }) - reason is 'expired' or 'cancelled'
+ *   'error'   (err)                         - revert failed, retried after retryInterval
+ */
+class BoostController extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.setLevel = options.setLevel;
+    this.getLevel = options.getLevel;
+    this.tickInterval = options.tickInterval || 60000; // 1 minute
+    this.retryInterval = options.retryInterval || 60000;
+
+    this.state = null;
+    this.endTimer = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Boost the fans to `level` for `minutes`.
+   * Boosting again while a boost is running extends it but keeps the
+   * level from before the first boost as the one to revert to.
+   * @param {number} level
+   * @param {number} minutes
+   */
+  async start(level, minutes) {
+    if (!(minutes > 0)) {
+      throw new Error(`Invalid boost duration: ${minutes}`);
+    }
+
+    const previousLevel = this.state ? this.state.previousLevel : this.getLevel();
+    if (previousLevel === null || previousLevel === undefined) {
+      throw new Error('Current fan level unknown, cannot boost');
+    }
+
+    await this.setLevel(level);
+
+    this._setState({
+      level,
+      previousLevel,
+      endsAt: Date.now() + minutes * 60000
+    });
+    this.emit('started', { level, previousLevel, minutes });
+  }
+
+  /**
+   * End the boost now and revert to the previous level.
+   * @returns {Promise<boolean>} false if no boost was running
+   */
+  async cancel() {
+    if (!this.state) return false;
+    await this._end('cancelled', { rethrow: true });
+    return true;
+  }
+
+  /**
+   * Forget the running boost without reverting, e.g. when the level is
+   * changed by hand during a boost.
+   */
+  clear() {
+    if (!this.state) return;
+    this._setState(null);
+  }
+
+  /**
+   * Resume a boost from persisted state. A boost that expired while the
+   * app wasn't running is reverted right away.
+   * @param {{ level: number, previousLevel: number, endsAt: number }|null} state
+   */
+  restore(state) {
+    if (!state || typeof state.endsAt !== 'number') return;
+    this.state = state;
+    this._schedule();
+  }
+
+  /**
+   * Whether a boost is running.
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.state !== null;
+  }
+
+  /**
+   * Minutes left of the running boost, rounded up; 0 when not boosting.
+   * @returns {number}
+   */
+  getRemainingMinutes() {
+    if (!this.state) return 0;
+    return Math.max(0, Math.ceil((this.state.endsAt - Date.now()) / 60000));
+  }
+
+  /**
+   * Stop timers without touching the state, e.g. when the device is unloaded.
+   */
+  destroy() {
+    this._clearTimers();
+  }
+
+  _setState(state) {
+    this.state = state;
+    this._schedule();
+    this.emit('state', state);
+  }
+
+  _schedule() {
+    this._clearTimers();
+    if (!this.state) {
+      this.emit('tick', 0);
+      return;
+    }
+
+    const remaining = Math.max(0, this.state.endsAt - Date.now());
+    this.endTimer = setTimeout(() => this._end('expired'), remaining);
+    this.tickTimer = setInterval(() => {
+      this.emit('tick', this.getRemainingMinutes());
+    }, this.tickInterval);
+    this.emit('tick', this.getRemainingMinutes());
+  }
+
+  /**
+   * Revert to the previous level. A failed revert is emitted as 'error' and
+   * retried from a timer; only the caller's own attempt (rethrow) rejects.
+   * @param {string} reason
+   * @param {{ rethrow?: boolean }} [options]
+   */
+  async _end(reason, { rethrow = false } = {}) {
+    const { level, previousLevel } = this.state;
+    this._clearTimers();
+
+    try {
+      await this.setLevel(previousLevel);
+    } catch (err) {
+      // Keep the state so the revert survives a restart, and try again later
+      this.emit('error', err);
+      this.endTimer = setTimeout(() => this._end(reason), this.retryInterval);
+      if (rethrow) throw err;
+      return;
+    }
+
+    this._setState(null);
+    this.emit('ended', { reason, level, previousLevel });
+  }
+
+  _clearTimers() {
+    if (this.endTimer) {
+      clearTimeout(this.endTimer);
+      this.endTimer = null;
+    }
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+}
+
+module.exports = BoostController;
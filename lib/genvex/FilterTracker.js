@@ -0,0 +1,146 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 20;
+
+/**
+ * Filter change tracking: days since the last change, days until the next
+ * one is due, and a warning `warningDays` before that, so the owner hears
+ * about it ahead of the unit's own filter alarm.
+ *
+ * Units with a filter day counter (the Optima 270's filterDays) report it
+ * through `setUnitDays()`; a counter that goes down means the filter was
+ * reset on the panel, which is recorded like a reset from the app. On units
+ * without one (the Optima 251) the days are counted from the last reset.
+ *
+ * State ({ lastReset, history, due }) is emitted on every change so the
+ * owner can persist it and hand it back as the `state` option.
+ *
+ * Events:
+ *   'state'  (state)                        - persist it
+ *   'update' ({ daysSince, daysLeft, due }) - when any of them changed
+ *   'due'    ({ daysSince, daysLeft })      - filter change became due
+ *   'reset'  ({ date, source })             - source is 'app' or 'unit'
+ */
+class FilterTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.intervalDays = options.intervalDays || 90;
+    this.warningDays = options.warningDays !== undefined ? options.warningDays : 14;
+
+    const state = options.state || {};
+    this.lastReset = state.lastReset || null;
+    this.history = state.history || [];
+    this.due = state.due || false;
+
+    this.unitDays = null;
+    this.lastUpdate = null;
+  }
+
+  /**
+   * Change the interval and warning period.
+   * @param {{ intervalDays?: number, warningDays?: number }} options
+   */
+  configure({ intervalDays, warningDays }) {
+    if (intervalDays !== undefined) this.intervalDays = intervalDays;
+    if (warningDays !== undefined) this.warningDays = warningDays;
+    this.update();
+  }
+
+  /**
+   * Record a filter change done through the app.
+   * @param {number} [now=Date.now()]
+   */
+  reset(now = Date.now()) {
+    this._recordReset(now, 'app');
+    if (this.unitDays !== null) this.unitDays = 0;
+    this.update(now);
+  }
+
+  /**
+   * Feed the unit's own days-since-change counter.
+   * @param {number} days
+   * @param {number} [now=Date.now()]
+   */
+  setUnitDays(days, now = Date.now()) {
+    if (typeof days !== 'number' || isNaN(days)) return;
+    const previous = this.unitDays;
+    this.unitDays = Math.max(0, Math.round(days));
+
+    // Counter went down: reset on the panel, unless it was ours
+    const recentAppReset = this.lastReset !== null && now - this.lastReset < DAY;
+    if (previous !== null && this.unitDays < previous && !recentAppReset) {
+      this._recordReset(now - this.unitDays * DAY, 'unit');
+    }
+    this.update(now);
+  }
+
+  /**
+   * Days since the last filter change.
+   * @param {number} [now=Date.now()]
+   * @returns {number|null} null if it isn't known yet
+   */
+  getDaysSince(now = Date.now()) {
+    if (this.unitDays !== null) return this.unitDays;
+    if (this.lastReset === null) return null;
+    return Math.max(0, Math.floor((now - this.lastReset) / DAY));
+  }
+
+  /**
+   * Days until the filter should be changed; negative when overdue.
+   * @param {number} [now=Date.now()]
+   * @returns {number|null}
+   */
+  getDaysLeft(now = Date.now()) {
+    const since = this.getDaysSince(now);
+    return since === null ? null : this.intervalDays - since;
+  }
+
+  /**
+   * Filter changes, newest first.
+   * @returns {{ date: number, source: string }[]}
+   */
+  getHistory() {
+    return this.history.slice();
+  }
+
+  /**
+   * Recompute and emit changes. Call periodically for app-counted days.
+   * @param {number} [now=Date.now()]
+   */
+  update(now = Date.now()) {
+    const daysSince = this.getDaysSince(now);
+    if (daysSince === null) return;
+
+    const daysLeft = this.intervalDays - daysSince;
+    const due = daysLeft <= this.warningDays;
+
+    const last = this.lastUpdate;
+    if (last && last.daysSince === daysSince && last.daysLeft === daysLeft && last.due === due) return;
+    this.lastUpdate = { daysSince, daysLeft, due };
+    this.emit('update', { daysSince, daysLeft, due });
+
+    if (due !== this.due) {
+      this.due = due;
+      this._emitState();
+      if (due) this.emit('due', { daysSince, daysLeft });
+    }
+  }
+
+  _recordReset(date, source) {
+    this.lastReset = date;
+    this.history.unshift({ date, source });
+    this.history = this.history.slice(0, MAX_HISTORY);
+    this._emitState();
+    this.emit('reset', { date, source });
+  }
+
+  _emitState() {
+    this.emit('state', { lastReset: this.lastReset, history: this.history, due: this.due });
+  }
+}
+
+module.exports = FilterTracker;
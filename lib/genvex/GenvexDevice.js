@@ -1,7 +1,17 @@
 'use strict';
 
 const { EventEmitter } = require('events');
-const { NabtoClient } = require('../nabto');
+const {
+  NabtoClient,
+  NabtoConnection,
+  NotConnectedError,
+  DeviceRejectedError,
+  ResponseMismatchError
+} = require('../nabto');
+const { PollTier } = require('./RegisterTypes');
+const { ErrorCode, ValidationError, PollFailedError } = require('./GenvexErrors');
+const { temperatureEfficiency, recoveredPower } = require('./HeatRecovery');
+const { estimatePower } = require('./PowerModel');
 
 /**
  * Genvex device abstraction
@@ -13,13 +23,39 @@ class GenvexDevice extends EventEmitter {
 
     this.deviceId = options.deviceId;
     this.ip = options.ip;
+    this.port = options.port;
     this.email = options.email;
+    // NabtoCapture for the connection's datagrams, or null
+    this.capture = options.capture || null;
     this.pollInterval = options.pollInterval || 30000; // 30 seconds
+    this.pollIntervals = {
+      [PollTier.FAST]: 10000,
+      [PollTier.NORMAL]: this.pollInterval,
+      [PollTier.SLOW]: 300000, // 5 minutes
+      ...options.pollIntervals
+    };
+    this.burstInterval = options.burstInterval || 5000;
+    this.burstDuration = options.burstDuration || 60000;
     this.model = options.model;
+    this.verifyWrites = options.verifyWrites || false;
+    this.verifyRetries = options.verifyRetries !== undefined ? options.verifyRetries : 2;
+    this.verifyDelay = options.verifyDelay !== undefined ? options.verifyDelay : 1000;
+    // Airflow in m³/h by fan level (index 0 = off), for the recovered heat estimate
+    this.airflow = options.airflow || null;
+    // { levelWatts, reheatWatts } for the power estimate (see PowerModel)
+    this.power = options.power || null;
+    // Accumulated kWh, carried over from earlier sessions
+    this.meters = {
+      recoveredEnergy: { total: options.recoveredEnergy || 0, last: null },
+      energyUsed: { total: options.energyUsed || 0, last: null }
+    };
 
     this.client = new NabtoClient();
     this.connection = null;
-    this.pollTimer = null;
+    this.pollTimers = [];
+    this.burstTimer = null;
+    this.burstUntil = 0;
+    this.pollsInFlight = new Set();
     this.data = new Map();
     this.consecutiveErrors = 0;
     this.maxConsecutiveErrors = 3;
@@ -33,7 +69,9 @@ class GenvexDevice extends EventEmitter {
       this.connection = await this.client.connect({
         deviceId: this.deviceId,
         ip: this.ip,
-        email: this.email
+        port: this.port,
+        email: this.email,
+        capture: this.capture
       });
 
       this.connection.on('error', (err) => {
@@ -61,6 +99,33 @@ class GenvexDevice extends EventEmitter {
     }
   }
 
+  /**
+   * Look for the unit on the LAN by its device ID.
+   * Used when the stored IP stops answering, e.g. after a new DHCP lease.
+   * @returns {Promise<string|null>} the new IP, or null if not found or unchanged
+   */
+  async rediscover() {
+    if (!this.deviceId || this.deviceId === 'unknown') return null;
+
+    const devices = await this.client.discover({ deviceId: this.deviceId });
+    const found = devices.find(d => d.deviceId === this.deviceId);
+    if (!found || found.ip === this.ip) return null;
+
+    const oldIp = this.ip;
+    this.ip = found.ip;
+    this.emit('ipChanged', { oldIp, newIp: found.ip });
+    return found.ip;
+  }
+
+  /**
+   * Start or stop recording datagrams, also on the current connection.
+   * @param {NabtoCapture|null} capture
+   */
+  setCapture(capture) {
+    this.capture = capture;
+    if (this.connection) this.connection.capture = capture;
+  }
+
   /**
    * Disconnect
    */
@@ -72,7 +137,9 @@ class GenvexDevice extends EventEmitter {
   }
 
   /**
-   * Start data polling
+   * Start data polling.
+   * Each register is polled at the interval of its pollTier; registers
+   * without a tier are polled at the normal interval.
    */
   startPolling() {
     this.stopPolling();
@@ -80,92 +147,252 @@ class GenvexDevice extends EventEmitter {
     // Initial poll
     this.poll();
 
-    // Periodic polling
-    this.pollTimer = setInterval(() => {
-      this.poll();
-    }, this.pollInterval);
+    // Periodic polling, one timer per tier
+    for (const tier of Object.values(PollTier)) {
+      this.pollTimers.push(setInterval(() => {
+        this.poll(tier);
+      }, this.pollIntervals[tier]));
+    }
   }
 
   /**
    * Stop polling
    */
   stopPolling() {
-    if (this.pollTimer) {
-      clearInterval(this.pollTimer);
-      this.pollTimer = null;
+    for (const timer of this.pollTimers) {
+      clearInterval(timer);
+    }
+    this.pollTimers = [];
+    this._stopBurst();
+  }
+
+  /**
+   * Poll every register at the burst interval for a while, so changes
+   * (after a write or an alarm) show up quickly.
+   * @param {number} [duration] - ms, defaults to burstDuration
+   */
+  startBurst(duration = this.burstDuration) {
+    this.burstUntil = Math.max(this.burstUntil, Date.now() + duration);
+    if (this.burstTimer) return;
+
+    this.burstTimer = setInterval(() => {
+      if (Date.now() >= this.burstUntil) {
+        this._stopBurst();
+        return;
+      }
+      this.poll();
+    }, this.burstInterval);
+  }
+
+  _stopBurst() {
+    if (this.burstTimer) {
+      clearInterval(this.burstTimer);
+      this.burstTimer = null;
     }
+    this.burstUntil = 0;
   }
 
   /**
-   * Poll all datapoint and setpoint registers
+   * Poll datapoint and setpoint registers.
+   * Emits 'polled' with the cached values and the tier, null for a poll of
+   * every register (initial and burst polls).
+   * @param {string} [tier] - only poll registers in this PollTier; all registers if omitted
    */
-  async poll() {
+  async poll(tier) {
     if (!this.connection || !this.connection.isConnected()) return;
 
+    // Don't stack polls of the same tier behind a slow unit
+    const pollKey = tier || 'all';
+    if (this.pollsInFlight.has(pollKey)) return;
+    this.pollsInFlight.add(pollKey);
+
     try {
       // Read datapoints
-      const dpReq = this.model.getDatapointRequestList();
-      const dpResults = await this.connection.readDatapoints(dpReq.keys, dpReq.requests);
-
-      if (dpResults.size !== dpReq.keys.length) {
-        this.emit('error', new Error(`Datapoint count mismatch: requested ${dpReq.keys.length}, received ${dpResults.size}. Missing keys: ${dpReq.keys.filter(k => !dpResults.has(k)).join(', ')}`));
-      }
-
-      for (const [key, rawValue] of dpResults) {
-        const register = this.model.datapoints[key];
-        if (register) {
-          const value = this.model.convertDatapointValue(rawValue, register);
-          const oldValue = this.data.get(register.name);
-
-          this.data.set(register.name, value);
-
-          if (oldValue !== value) {
-            this.emit('data', {
-              name: register.name,
-              value,
-              capability: register.homeyCapability,
-              unit: register.unit
-            });
-          }
+      const dpReq = this.model.getDatapointRequestList(tier);
+      if (dpReq.keys.length > 0) {
+        const dpResults = await this.connection.readDatapoints(dpReq.keys, dpReq.requests, {
+          priority: NabtoConnection.PRIORITY_LOW
+        });
+
+        if (dpResults.size !== dpReq.keys.length) {
+          this.emit('error', new ResponseMismatchError(
+            `Datapoint count mismatch: requested ${dpReq.keys.length}, received ${dpResults.size}. Missing keys: ${dpReq.keys.filter(k => !dpResults.has(k)).join(', ')}`,
+            { expected: dpReq.keys.length, received: dpResults.size }
+          ));
         }
+
+        this._applyResults(dpResults, this.model.datapoints,
+          (raw, register) => this.model.convertDatapointValue(raw, register));
       }
 
       // Read setpoints
-      const spReq = this.model.getSetpointRequestList();
-      const spResults = await this.connection.readSetpoints(spReq.keys, spReq.requests);
-
-      for (const [key, rawValue] of spResults) {
-        const register = this.model.setpoints[key];
-        if (register) {
-          const value = this.model.convertSetpointValue(rawValue, register);
-          const oldValue = this.data.get(register.name);
-          this.data.set(register.name, value);
-
-          if (oldValue !== value) {
-            this.emit('data', {
-              name: register.name,
-              value,
-              capability: register.homeyCapability,
-              unit: register.unit
-            });
-          }
-        }
+      const spReq = this.model.getSetpointRequestList(tier);
+      if (spReq.keys.length > 0) {
+        const spResults = await this.connection.readSetpoints(spReq.keys, spReq.requests, {
+          priority: NabtoConnection.PRIORITY_LOW
+        });
+
+        this._applyResults(spResults, this.model.setpoints,
+          (raw, register) => this.model.convertSetpointValue(raw, register));
       }
 
+      this._updateHeatRecovery();
+      this._updatePower();
+
       this.consecutiveErrors = 0;
-      this.emit('polled', this.data);
+      this.emit('polled', this.data, tier || null);
     } catch (err) {
-      this.consecutiveErrors++;
+      // Requests cancelled by a disconnect are not poll failures
+      if (!this.connection || err.code === ErrorCode.NOT_CONNECTED) return;
+
       this.emit('error', err);
 
+      // The unit answered, so the connection is fine; a reconnect won't change its mind
+      if (err.code === ErrorCode.DEVICE_REJECTED) return;
+
+      this.consecutiveErrors++;
+
       if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
+        const failures = this.consecutiveErrors;
         this.consecutiveErrors = 0;
-        this.emit('error', new Error('Too many consecutive poll failures, reconnecting'));
+        this.emit('error', new PollFailedError('Too many consecutive poll failures, reconnecting', {
+          failures,
+          cause: err
+        }));
         this.disconnect();
       }
+    } finally {
+      this.pollsInFlight.delete(pollKey);
+    }
+  }
+
+  /**
+   * Convert polled raw values, update the cache and emit changes.
+   * @param {Map<string, number>} results - raw values keyed by register key
+   * @param {Object} registers - model datapoints or setpoints
+   * @param {function(number, Object): number} convert
+   * @private
+   */
+  _applyResults(results, registers, convert) {
+    for (const [key, rawValue] of results) {
+      const register = registers[key];
+      if (!register) continue;
+
+      const value = convert(rawValue, register);
+      const oldValue = this.data.get(register.name);
+      this.data.set(register.name, value);
+
+      if (oldValue !== value) {
+        this.emit('data', {
+          name: register.name,
+          value,
+          capability: register.homeyCapability,
+          unit: register.unit
+        });
+
+        // e.g. an alarm going off: follow the unit closely for a while
+        if (register.burstOnChange && oldValue !== undefined) {
+          this.startBurst();
+        }
+      }
     }
   }
 
+  /**
+   * Derive heat recovery efficiency, recovered power and accumulated
+   * recovered energy from the latest values (see HeatRecovery).
+   * @param {number} [now=Date.now()]
+   * @private
+   */
+  _updateHeatRecovery(now = Date.now()) {
+    const level = this.data.get('fanSpeed');
+    const values = {
+      supply: this.data.get('supplyTemperature'),
+      outside: this.data.get('outsideTemperature'),
+      extract: this.data.get('extractTemperature'),
+      bypassActive: this.data.get('bypassActive') > 0,
+      airflow: this.airflow && level !== undefined ? this.airflow[Math.round(level)] : undefined
+    };
+    if ([values.supply, values.outside, values.extract].includes(undefined)) return;
+
+    const efficiency = temperatureEfficiency(values);
+    if (efficiency !== null) {
+      this._setDerived('heatRecoveryEfficiency', Math.round(efficiency * 10) / 10, '%');
+    }
+
+    // Bypass open or too small a difference counts as nothing recovered;
+    // without an airflow for the level there is no estimate at all
+    const power = recoveredPower(values);
+    const watts = power !== null ? Math.round(power) : (efficiency === null ? 0 : null);
+    if (watts === null) return;
+    this._setDerived('recoveredPower', watts, 'W');
+    this._accumulate('recoveredEnergy', watts, now);
+  }
+
+  /**
+   * Estimate the unit's electrical power and accumulate the energy used
+   * (see PowerModel).
+   * @param {number} [now=Date.now()]
+   * @private
+   */
+  _updatePower(now = Date.now()) {
+    if (!this.power) return;
+
+    const level = this.data.get('fanSpeed');
+    const rounded = Math.round(level);
+    const estimate = estimatePower({
+      level,
+      levelWatts: this.power.levelWatts,
+      dutyCycle: {
+        supply: this.data.get('dutyCycleSupply'),
+        extract: this.data.get('dutyCycleExtract')
+      },
+      // Per-level duty cycle setpoints, where the model has them
+      levelDutyCycle: {
+        supply: this.data.get(`supplyLevel${rounded}`),
+        extract: this.data.get(`extractLevel${rounded}`)
+      },
+      reheating: this.data.get('reheating') > 0,
+      reheatActive: this.data.has('reheatActive') ? this.data.get('reheatActive') > 0 : undefined,
+      reheatWatts: this.power.reheatWatts
+    });
+    if (!estimate) return;
+
+    const watts = Math.round(estimate.total * 10) / 10;
+    this._setDerived('power', watts, 'W');
+    this._accumulate('energyUsed', watts, now);
+  }
+
+  /**
+   * Add the previous power reading, integrated over the time since, to a
+   * kWh meter and emit the new total. Gaps from disconnects are skipped.
+   * @param {string} name - meter in this.meters
+   * @param {number} watts - current reading
+   * @param {number} now
+   * @private
+   */
+  _accumulate(name, watts, now) {
+    const meter = this.meters[name];
+    const previous = meter.last;
+    meter.last = { time: now, watts };
+    if (!previous) return;
+
+    const hours = (now - previous.time) / 3600000;
+    if (hours <= 0 || hours > 0.25) return;
+    meter.total += previous.watts * hours / 1000;
+    this._setDerived(name, Math.round(meter.total * 1000) / 1000, 'kWh');
+  }
+
+  /**
+   * Store a value computed by the app and emit it like a register value.
+   * @private
+   */
+  _setDerived(name, value, unit) {
+    if (this.data.get(name) === value) return;
+    this.data.set(name, value);
+    this.emit('data', { name, value, capability: null, unit });
+  }
+
   /**
    * Get sensor value
    */
@@ -181,40 +408,245 @@ class GenvexDevice extends EventEmitter {
   }
 
   /**
-   * Set a setpoint value
+   * Set a setpoint value.
+   * With verify enabled (options.verify, or the verifyWrites constructor option),
+   * the setpoint is read back after the write and the write is retried until the
+   * unit reports the requested value. If it never does, the previous value is
+   * re-emitted so capabilities are restored, and the call rejects with a
+   * ResponseMismatchError.
+   * If the unit rejects the write, the call rejects right away with a
+   * DeviceRejectedError carrying the unit's exception code. Invalid values
+   * reject with a ValidationError before anything is sent.
+   * @param {string} name
+   * @param {number} value
+   * @param {{ verify?: boolean }} [options]
+   */
+  async setValue(name, value, options = {}) {
+    const results = await this.setValues({ [name]: value }, options);
+    const result = results[name];
+    if (!result.success) {
+      throw result.code === ErrorCode.DEVICE_REJECTED
+        ? new DeviceRejectedError(result.error, { deviceCode: result.deviceCode })
+        : new ResponseMismatchError(result.error, { expected: result.value, received: result.received });
+    }
+  }
+
+  /**
+   * Set several setpoints in one write packet.
+   * Every value is validated against the model limits before anything is sent,
+   * so an invalid value rejects without touching the unit.
+   * Verification works as in setValue; only registers that did not read back
+   * correctly are rewritten on retry. A write the unit rejects fails every
+   * value in it, with the unit's exception code as deviceCode.
+   * Failed values carry an ErrorCode: DEVICE_REJECTED, or RESPONSE_MISMATCH
+   * with the value read back as `received`.
+   * @param {Object<string, number>} values - display values keyed by setpoint name
+   * @param {{ verify?: boolean }} [options]
+   * @returns {Promise<Object<string, { success: boolean, value: number, error?: string, code?: string, deviceCode?: number|null, reason?: string, received?: number|null }>>}
+   */
+  async setValues(values, options = {}) {
+    const writes = Object.entries(values).map(([name, value]) => this._prepareWrite(name, value));
+    if (writes.length === 0) return {};
+
+    if (!this.isConnected()) {
+      throw new NotConnectedError();
+    }
+
+    const verify = options.verify !== undefined ? options.verify : this.verifyWrites;
+    const attempts = verify ? this.verifyRetries + 1 : 1;
+    const readBack = new Map();
+    let pending = writes;
+    let rejected = null;
+
+    for (let attempt = 1; attempt <= attempts && pending.length > 0; attempt++) {
+      try {
+        // Queued ahead of polls so a write never races a poll in flight
+        await this.connection.writeSetpoints(pending.map(w => ({
+          id: 0,
+          value: w.rawValue,
+          param: w.register.writeAddress
+        })));
+      } catch (err) {
+        if (!(err instanceof DeviceRejectedError)) throw err;
+        rejected = err;
+        break;
+      }
+
+      if (!verify) {
+        pending = [];
+        break;
+      }
+
+      // Write-only registers (e.g. filter reset) cannot be read back
+      const checked = pending.filter(w => !w.register.writeOnly);
+      const results = await this._readBackSetpoints(checked);
+      for (const w of checked) {
+        readBack.set(w.name, results.get(w.key));
+      }
+      pending = checked.filter(w => readBack.get(w.name) !== (w.rawValue & 0xFFFF));
+    }
+
+    // Show the unit's response to the change quickly
+    this.startBurst();
+
+    const results = {};
+    for (const w of writes) {
+      if (pending.includes(w)) {
+        if (rejected) {
+          results[w.name] = {
+            success: false,
+            value: w.value,
+            error: `Device rejected ${w.name} = ${w.value}: ${rejected.reason}`,
+            code: ErrorCode.DEVICE_REJECTED,
+            deviceCode: rejected.deviceCode,
+            reason: rejected.reason
+          };
+        } else {
+          const raw = readBack.get(w.name);
+          const actual = raw === undefined ? null : this.model.convertSetpointValue(raw, w.register);
+          results[w.name] = {
+            success: false,
+            value: w.value,
+            error: `Device did not accept ${w.name} = ${w.value}: read back ${actual === null ? 'no value' : actual} after ${attempts} attempts`,
+            code: ErrorCode.RESPONSE_MISMATCH,
+            received: actual
+          };
+        }
+
+        // Restore the previous value
+        const previous = this.data.get(w.name);
+        if (previous !== undefined) {
+          this.emit('data', {
+            name: w.name,
+            value: previous,
+            capability: w.register.homeyCapability
+          });
+        }
+        continue;
+      }
+
+      results[w.name] = { success: true, value: w.value };
+
+      // Update local cache
+      this.data.set(w.name, w.value);
+
+      this.emit('data', {
+        name: w.name,
+        value: w.value,
+        capability: w.register.homeyCapability
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Look up a setpoint and validate a display value against its raw limits.
+   * @param {string} name
+   * @param {number} value
+   * @returns {{ name: string, value: number, key: string, register: Object, rawValue: number }}
+   * @private
    */
-  async setValue(name, value) {
+  _prepareWrite(name, value) {
     const register = this.model.getSetpointByName(name);
 
     if (!register) {
-      throw new Error(`Unknown setpoint: ${name}`);
+      throw new ValidationError(`Unknown setpoint: ${name}`, { name, value });
     }
 
     // Validate range against raw value limits
     const rawValue = this.model.toRawSetpointValue(value, register);
+    // NaN passes both range checks
+    if (!Number.isFinite(rawValue)) {
+      throw new ValidationError(`Invalid value ${value} for ${name}`, {
+        name, value, min: register.min, max: register.max
+      });
+    }
     if (register.min !== undefined && rawValue < register.min) {
-      throw new Error(`Raw value ${rawValue} below minimum ${register.min}`);
+      throw new ValidationError(`Raw value ${rawValue} below minimum ${register.min} for ${name}`, {
+        name, value, min: register.min, max: register.max
+      });
     }
     if (register.max !== undefined && rawValue > register.max) {
-      throw new Error(`Raw value ${rawValue} above maximum ${register.max}`);
+      throw new ValidationError(`Raw value ${rawValue} above maximum ${register.max} for ${name}`, {
+        name, value, min: register.min, max: register.max
+      });
     }
 
-    await this.connection.writeSetpoints([{
-      id: 0,
-      value: rawValue,
-      param: register.writeAddress
-    }]);
+    const key = Object.keys(this.model.setpoints).find(k => this.model.setpoints[k] === register);
+    return { name, value, key, register, rawValue };
+  }
 
-    // Update local cache
-    this.data.set(name, value);
+  /**
+   * Read back setpoints' raw values, after giving the unit time to apply a write.
+   * @param {{ key: string, register: Object }[]} writes
+   * @returns {Promise<Map<string, number>>} raw values keyed by setpoint key
+   * @private
+   */
+  async _readBackSetpoints(writes) {
+    if (writes.length === 0) return new Map();
+
+    await new Promise(resolve => setTimeout(resolve, this.verifyDelay));
+
+    return this.connection.readSetpoints(
+      writes.map(w => w.key),
+      writes.map(w => ({ obj: 0, address: w.register.readAddress })),
+      { priority: NabtoConnection.PRIORITY_HIGH }
+    );
+  }
 
-    this.emit('data', {
-      name: register.name,
-      value,
-      capability: register.homeyCapability
+  /**
+   * Read registers by address, known to the model or not. For mapping
+   * registers the model files don't have yet.
+   * @param {'datapoint'|'setpoint'} type
+   * @param {number[]} addresses - datapoint addresses, or setpoint read addresses
+   * @returns {Promise<{ address: number, int16: number|null, uint16: number|null, name: string|null, value: number|null, unit: string|null }[]>}
+   *   name, value and unit are filled in for registers the model knows; int16 and
+   *   uint16 are null when the unit didn't return a value for the address
+   */
+  async readRawRegisters(type, addresses) {
+    if (!this.isConnected()) {
+      throw new NotConnectedError();
+    }
+
+    const isSetpoint = type === 'setpoint';
+    const keys = addresses.map(String);
+    const requests = addresses.map(address => ({ obj: 0, address }));
+    const results = isSetpoint
+      ? await this.connection.readSetpoints(keys, requests)
+      : await this.connection.readDatapoints(keys, requests);
+
+    const registers = Object.values(isSetpoint ? this.model.setpoints : this.model.datapoints);
+    return addresses.map((address) => {
+      const raw = results.get(String(address));
+      const register = registers.find(r => (isSetpoint ? r.readAddress : r.address) === address);
+      const known = raw !== undefined && register;
+      return {
+        address,
+        int16: raw === undefined ? null : (raw << 16) >> 16,
+        uint16: raw === undefined ? null : raw & 0xFFFF,
+        name: register ? register.name : null,
+        value: known
+          ? (isSetpoint ? this.model.convertSetpointValue(raw, register) : this.model.convertDatapointValue(raw, register))
+          : null,
+        unit: register ? register.unit : null
+      };
     });
   }
 
+  /**
+   * Write a raw value to a setpoint write address, without the model's
+   * range checks.
+   * @param {number} writeAddress
+   * @param {number} rawValue - uint16, or a negative int16
+   */
+  async writeRawSetpoint(writeAddress, rawValue) {
+    if (!this.isConnected()) {
+      throw new NotConnectedError();
+    }
+    await this.connection.writeSetpoints([{ id: 0, value: rawValue & 0xFFFF, param: writeAddress }]);
+    this.startBurst();
+  }
+
   /**
    * Set fan level (0-4)
    */
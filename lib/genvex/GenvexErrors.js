@@ -0,0 +1,61 @@
+'use strict';
+
+const NabtoErrors = require('../nabto/NabtoErrors');
+
+/**
+ * Errors of the Genvex layer, on top of the Nabto layer's (see NabtoErrors).
+ *
+ * ErrorCode lists every code either layer uses, so callers can tell what
+ * went wrong from `err.code` alone.
+ */
+const ErrorCode = {
+  ...NabtoErrors.NabtoErrorCode,
+  VALIDATION: 'VALIDATION_ERROR',
+  POLL_FAILED: 'POLL_FAILED'
+};
+
+/**
+ * A value was refused before anything was sent: an unknown setpoint or a
+ * value outside the register's limits.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ name?: string, value?: number, min?: number, max?: number }} [details]
+   *   name is kept as `setpoint`; min and max are the register's raw limits
+   */
+  constructor(message, { name, value, min, max } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = ErrorCode.VALIDATION;
+    this.retryable = false;
+    this.setpoint = name;
+    this.value = value;
+    this.min = min;
+    this.max = max;
+  }
+}
+
+/**
+ * Polls kept failing, so GenvexDevice drops the connection to reconnect.
+ */
+class PollFailedError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ failures?: number, cause?: Error }} [details]
+   *   failures - consecutive failed polls; cause - the last one's error
+   */
+  constructor(message, { failures, cause } = {}) {
+    super(message, { cause });
+    this.name = 'PollFailedError';
+    this.code = ErrorCode.POLL_FAILED;
+    this.retryable = false;
+    this.failures = failures;
+  }
+}
+
+module.exports = {
+  ErrorCode,
+  ValidationError,
+  PollFailedError
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Heat recovery figures derived from the unit's temperatures.
+ *
+ * Temperature efficiency of the heat exchanger:
+ *   (supply - outside) / (extract - outside)
+ * Recovered heat power:
+ *   airflow * rho * cp * (supply - outside)
+ *
+ * Both are meaningless while the bypass is open or when extract and
+ * outside air are almost the same temperature, so they return null then.
+ */
+
+// W per (m³/h · K): air density 1.2 kg/m³ * heat capacity 1005 J/(kg·K) / 3600 s/h
+const AIR_HEAT_CAPACITY = 1.2 * 1005 / 3600;
+
+// Below this extract/outside difference (K) the efficiency is mostly sensor noise
+const MIN_TEMPERATURE_DELTA = 3;
+
+/**
+ * Whether the temperatures allow a meaningful calculation.
+ * @param {{ supply: number, outside: number, extract: number, bypassActive?: boolean }} values
+ * @returns {boolean}
+ */
+function canCalculate({ supply, outside, extract, bypassActive }) {
+  if ([supply, outside, extract].some(t => typeof t !== 'number' || isNaN(t))) return false;
+  if (bypassActive) return false;
+  return Math.abs(extract - outside) >= MIN_TEMPERATURE_DELTA;
+}
+
+/**
+ * Temperature efficiency of the heat exchanger.
+ * Works both when heating (outside colder) and cooling (outside warmer).
+ * @param {{ supply: number, outside: number, extract: number, bypassActive?: boolean }} values
+ * @returns {number|null} percent, or null when not meaningful
+ */
+function temperatureEfficiency(values) {
+  if (!canCalculate(values)) return null;
+  const { supply, outside, extract } = values;
+  const efficiency = (supply - outside) / (extract - outside) * 100;
+  // Outside 0-100% something else is going on (reheat, sensor fault): don't report it
+  if (efficiency < 0 || efficiency > 100) return null;
+  return efficiency;
+}
+
+/**
+ * Heat (or, with outside air warmer than extract, cooling) recovered
+ * into the supply air.
+ * @param {{ supply: number, outside: number, extract: number, bypassActive?: boolean, airflow: number }} values
+ *   airflow in m³/h
+ * @returns {number|null} watts, or null when not meaningful
+ */
+function recoveredPower(values) {
+  if (temperatureEfficiency(values) === null) return null;
+  if (!(values.airflow >= 0)) return null;
+  return values.airflow * AIR_HEAT_CAPACITY * Math.abs(values.supply - values.outside);
+}
+
+module.exports = {
+  AIR_HEAT_CAPACITY,
+  MIN_TEMPERATURE_DELTA,
+  temperatureEfficiency,
+  recoveredPower
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Humidity-driven ventilation: raises the fan level when humidity jumps
+ * above its recent baseline (a shower, cooking) and puts the previous
+ * level back once it has come down again.
+ *
+ * The baseline is the average of the readings in the last `baselineWindow`
+ * minutes, leaving out readings taken while the controller is active so a
+ * long shower doesn't drag the baseline up with it. The controller turns
+ * on at baseline + riseThreshold and off at baseline + fallThreshold
+ * (fallThreshold < riseThreshold gives the hysteresis).
+ *
+ * Like BoostController it doesn't talk to the unit itself; it is given
+ * `setLevel` and `getLevel` functions. Its state while active
+ * ({ previousLevel, baseline, since }) is emitted on every change and
+ * handed back to `restore()` after a restart, so a raised level is still
+ * put back.
+ *
+ * Events:
+ *   'state'       (state|null) - active state changed, persist it
+ *   'activated'   ({ humidity, baseline, level, previousLevel })
+ *   'deactivated' ({ humidity, baseline, reason }) - reason is 'recovered', 'timeout', 'paused' or 'disabled'
+ *   'error'       (err) - changing the fan level failed
+ */
+class HumidityController extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.setLevel = options.setLevel;
+    this.getLevel = options.getLevel;
+    this.configure(options);
+
+    this.samples = [];
+    this.active = null;
+    this.pausedUntil = 0;
+    this.updating = false;
+  }
+
+  /**
+   * Update the controller settings. Options not given keep their value.
+   * @param {Object} options
+   * @param {boolean} [options.enabled=true]
+   * @param {number} [options.riseThreshold=10] - %RH above baseline to turn on
+   * @param {number} [options.fallThreshold=5] - %RH above baseline to turn off again
+   * @param {number} [options.level=4] - fan level while active
+   * @param {number} [options.baselineWindow=60] - minutes of readings in the baseline
+   * @param {number} [options.maxActiveMinutes=120] - give up after this long
+   * @param {number} [options.minSamples=3] - readings needed before acting
+   */
+  configure(options = {}) {
+    const current = this.options || {
+      enabled: true,
+      riseThreshold: 10,
+      fallThreshold: 5,
+      level: 4,
+      baselineWindow: 60,
+      maxActiveMinutes: 120,
+      minSamples: 3
+    };
+    const next = { ...current };
+    for (const key of Object.keys(current)) {
+      if (options[key] !== undefined) next[key] = options[key];
+    }
+    if (next.fallThreshold >= next.riseThreshold) {
+      throw new Error('fallThreshold must be lower than riseThreshold');
+    }
+    this.options = next;
+
+    if (!next.enabled && this.active) {
+      this._deactivate(null, 'disabled').catch(() => {});
+    }
+  }
+
+  /**
+   * Feed a humidity reading. A reading that arrives while the previous one
+   * is still changing the fan level is dropped.
+   * @param {number} humidity - %RH
+   * @param {number} [now=Date.now()]
+   */
+  async update(humidity, now = Date.now()) {
+    if (typeof humidity !== 'number' || isNaN(humidity)) return;
+    // A second reading would see the raise as not yet active and could
+    // take the raised level for the previous one
+    if (this.updating) return;
+    this.updating = true;
+    try {
+      await this._update(humidity, now);
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  async _update(humidity, now) {
+
+    const windowStart = now - this.options.baselineWindow * 60000;
+    this.samples = this.samples.filter(s => s.time >= windowStart);
+
+    if (this.active) {
+      const { baseline, since } = this.active;
+      if (humidity <= baseline + this.options.fallThreshold) {
+        await this._deactivate(humidity, 'recovered');
+      } else if (now - since >= this.options.maxActiveMinutes * 60000) {
+        await this._deactivate(humidity, 'timeout');
+      }
+      return;
+    }
+
+    const baseline = this.getBaseline();
+    this.samples.push({ time: now, value: humidity });
+
+    if (!this.options.enabled || this.isPaused(now)) return;
+    if (baseline === null) return;
+    if (humidity < baseline + this.options.riseThreshold) return;
+
+    const previousLevel = this.getLevel();
+    if (previousLevel === null || previousLevel === undefined) return;
+    // Already running at least as high: nothing to do
+    if (previousLevel >= this.options.level) return;
+
+    try {
+      await this.setLevel(this.options.level);
+    } catch (err) {
+      this.emit('error', err);
+      return;
+    }
+    this._setActive({ baseline, previousLevel, since: now });
+    this.emit('activated', { humidity, baseline, level: this.options.level, previousLevel });
+  }
+
+  /**
+   * Average of the readings in the baseline window.
+   * @returns {number|null} null until there are minSamples readings
+   */
+  getBaseline() {
+    if (this.samples.length < this.options.minSamples) return null;
+    const sum = this.samples.reduce((total, s) => total + s.value, 0);
+    return sum / this.samples.length;
+  }
+
+  /**
+   * Stop acting on readings for a while. An active raise is ended first.
+   * @param {number} minutes
+   */
+  async pause(minutes) {
+    this.pausedUntil = Date.now() + minutes * 60000;
+    if (this.active) {
+      await this._deactivate(null, 'paused');
+    }
+  }
+
+  resume() {
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * @param {number} [now=Date.now()]
+   * @returns {boolean}
+   */
+  isPaused(now = Date.now()) {
+    return now < this.pausedUntil;
+  }
+
+  /**
+   * Whether the controller has raised the fan level.
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * Forget an active raise without restoring the level, e.g. when the
+   * level is changed by hand.
+   */
+  clear() {
+    if (this.active) this._setActive(null);
+  }
+
+  /**
+   * Resume an active raise from persisted state. The next reading ends it
+   * if humidity has come down or it has run too long meanwhile.
+   * @param {{ previousLevel: number, baseline: number, since: number }|null} state
+   */
+  restore(state) {
+    if (!state || typeof state.since !== 'number' || typeof state.baseline !== 'number' ||
+        typeof state.previousLevel !== 'number') return;
+    this.active = { previousLevel: state.previousLevel, baseline: state.baseline, since: state.since };
+  }
+
+  _setActive(active) {
+    this.active = active;
+    this.emit('state', active);
+  }
+
+  async _deactivate(humidity, reason) {
+    const { baseline, previousLevel } = this.active;
+    try {
+      await this.setLevel(previousLevel);
+    } catch (err) {
+      // Stay active; the next reading tries again
+      this.emit('error', err);
+      return;
+    }
+    this._setActive(null);
+    this.emit('deactivated', { humidity, baseline, reason });
+  }
+}
+
+module.exports = HumidityController;
@@ -0,0 +1,84 @@
+'use strict';
+
+const { Optima270Model } = require('./Optima270');
+const { Optima251Model } = require('./Optima251');
+
+/**
+ * Registry mapping the model info a unit reports in its PING response
+ * (see NabtoPacket.parsePingResponse) to the model object that knows its
+ * registers.
+ *
+ * Units are paired through the single `genvex` driver, which stores the
+ * model's id. `driverId` is the model's own driver, from before the app
+ * picked the model itself; devices paired with it keep working there.
+ *
+ * Identification rules follow genvexnabto's model adapter: the Optima 270
+ * reports itself directly, while the Optima 251 sits behind a gateway and
+ * is identified by the slave device fields.
+ */
+const models = [
+  {
+    id: 'optima270',
+    name: 'Genvex Optima 270',
+    driverId: 'optima270',
+    model: Optima270Model,
+    matches: (info) => info.deviceModel === 2010 && info.deviceNumber === 79265
+  },
+  {
+    id: 'optima251',
+    name: 'Genvex Optima 251',
+    driverId: 'optima251',
+    model: Optima251Model,
+    matches: (info) => info.deviceModel === 1040 &&
+      info.slaveDeviceNumber === 79250 &&
+      info.slaveDeviceModel === 1
+  }
+];
+
+/**
+ * Add a model to the registry.
+ * Later registrations take precedence over earlier ones for the same model info.
+ * @param {{ id: string, name: string, driverId: string, model: Object, matches: Function }} entry
+ */
+function registerModel(entry) {
+  if (!entry || !entry.id || typeof entry.matches !== 'function') {
+    throw new Error('Model entry requires id and matches()');
+  }
+  const existing = models.findIndex(m => m.id === entry.id);
+  if (existing !== -1) models.splice(existing, 1);
+  models.unshift(entry);
+}
+
+/**
+ * Find the registry entry for a ping result.
+ * @param {{ deviceNumber: number, deviceModel: number, slaveDeviceNumber: number, slaveDeviceModel: number }} modelInfo
+ * @returns {Object|null} registry entry, or null if the unit is not recognised
+ */
+function resolveModel(modelInfo) {
+  if (!modelInfo) return null;
+  return models.find(m => m.matches(modelInfo)) || null;
+}
+
+/**
+ * Get a registry entry by id.
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function getModelById(id) {
+  return models.find(m => m.id === id);
+}
+
+/**
+ * Get all registered models.
+ * @returns {Object[]}
+ */
+function getModels() {
+  return models.slice();
+}
+
+module.exports = {
+  registerModel,
+  resolveModel,
+  getModelById,
+  getModels
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { AlarmEncoding } = require('./RegisterTypes');
+
 /**
  * Register definitions for Optima 251 controller
  * Used by Genvex 400 (Optima 251).
@@ -10,6 +12,10 @@
  * Datapoints are read-only sensors (CMD_DATAPOINT_READLIST).
  * Setpoints are read/write controls (CMD_SETPOINT_READLIST / CMD_SETPOINT_WRITELIST).
  * On Optima 251, setpoints use the same address for reading and writing.
+ *
+ * pollTier sets how often a register is polled (see RegisterTypes.PollTier).
+ * homeyCapability, transform and the other Homey fields are described at
+ * RegisterTypes.CapabilityTransform.
  */
 
 const Optima251Datapoints = {
@@ -19,7 +25,8 @@ const Optima251Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.supply'
+    homeyCapability: 'measure_temperature.supply',
+    pollTier: 'fast'
   },
   TEMP_OUTSIDE: {
     name: 'outsideTemperature',
@@ -27,7 +34,8 @@ const Optima251Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.outside'
+    homeyCapability: 'measure_temperature.outside',
+    pollTier: 'fast'
   },
   TEMP_EXHAUST: {
     name: 'exhaustTemperature',
@@ -35,7 +43,8 @@ const Optima251Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.exhaust'
+    homeyCapability: 'measure_temperature.exhaust',
+    pollTier: 'fast'
   },
   TEMP_EXTRACT: {
     name: 'extractTemperature',
@@ -43,7 +52,8 @@ const Optima251Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.extract'
+    homeyCapability: 'measure_temperature.extract',
+    pollTier: 'fast'
   },
   HUMIDITY: {
     name: 'humidity',
@@ -51,7 +61,8 @@ const Optima251Datapoints = {
     divider: 1,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_humidity'
+    homeyCapability: 'measure_humidity',
+    pollTier: 'normal'
   },
   DUTYCYCLE_SUPPLY: {
     name: 'dutyCycleSupply',
@@ -59,7 +70,8 @@ const Optima251Datapoints = {
     divider: 1,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_duty_cycle.supply'
+    homeyCapability: 'measure_duty_cycle.supply',
+    pollTier: 'normal'
   },
   DUTYCYCLE_EXTRACT: {
     name: 'dutyCycleExtract',
@@ -67,7 +79,8 @@ const Optima251Datapoints = {
     divider: 1,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_duty_cycle.extract'
+    homeyCapability: 'measure_duty_cycle.extract',
+    pollTier: 'normal'
   },
   BYPASS_ACTIVE: {
     name: 'bypassActive',
@@ -75,7 +88,9 @@ const Optima251Datapoints = {
     divider: 1,
     offset: 0,
     unit: '',
-    homeyCapability: 'alarm_bypass'
+    homeyCapability: 'alarm_bypass',
+    transform: 'boolean',
+    pollTier: 'normal'
   },
   ALARM: {
     name: 'alarm',
@@ -83,7 +98,10 @@ const Optima251Datapoints = {
     divider: 1,
     offset: 0,
     unit: '',
-    homeyCapability: 'alarm_generic'
+    homeyCapability: 'alarm_generic',
+    pollTier: 'fast',
+    alarmEncoding: AlarmEncoding.CODE,
+    burstOnChange: true  // Poll closely for a while when the alarm changes
   }
 };
 
@@ -97,7 +115,10 @@ const Optima251Setpoints = {
     min: 0,
     max: 4,
     unit: '',
-    homeyCapability: 'measure_fan_speed'
+    homeyCapability: 'measure_fan_speed',
+    transform: 'integer',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   TEMP_SETPOINT: {
     name: 'temperatureSetpoint',
@@ -108,7 +129,9 @@ const Optima251Setpoints = {
     min: 0,
     max: 200,
     unit: '\u00b0C',
-    homeyCapability: 'target_temperature'
+    homeyCapability: 'target_temperature',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   REHEATING: {
     name: 'reheating',
@@ -119,7 +142,10 @@ const Optima251Setpoints = {
     min: 0,
     max: 1,
     unit: '',
-    homeyCapability: 'genvex_reheat'
+    homeyCapability: 'genvex_reheat',
+    transform: 'boolean',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   FILTER_RESET: {
     name: 'filterReset',
@@ -132,17 +158,124 @@ const Optima251Setpoints = {
     unit: '',
     homeyCapability: null,
     writeOnly: true
+  },
+  // Supply/extract duty cycle for each fan level, set by the installer
+  SUPPLY_LEVEL1: {
+    name: 'supplyLevel1',
+    readAddress: 3,
+    writeAddress: 3,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level1',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL2: {
+    name: 'supplyLevel2',
+    readAddress: 4,
+    writeAddress: 4,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level2',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL3: {
+    name: 'supplyLevel3',
+    readAddress: 5,
+    writeAddress: 5,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level3',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL4: {
+    name: 'supplyLevel4',
+    readAddress: 6,
+    writeAddress: 6,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level4',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL1: {
+    name: 'extractLevel1',
+    readAddress: 7,
+    writeAddress: 7,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level1',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL2: {
+    name: 'extractLevel2',
+    readAddress: 8,
+    writeAddress: 8,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level2',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL3: {
+    name: 'extractLevel3',
+    readAddress: 9,
+    writeAddress: 9,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level3',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL4: {
+    name: 'extractLevel4',
+    readAddress: 10,
+    writeAddress: 10,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level4',
+    pollTier: 'slow'
   }
 };
 
 /**
  * Get ordered datapoint request list for NabtoConnection.readDatapoints.
+ * @param {string} [tier] - only include registers in this poll tier (see RegisterTypes.PollTier)
  * @returns {{ keys: string[], requests: { obj: number, address: number }[] }}
  */
-function getDatapointRequestList() {
+function getDatapointRequestList(tier) {
   const keys = [];
   const requests = [];
   for (const [key, dp] of Object.entries(Optima251Datapoints)) {
+    if (tier && (dp.pollTier || 'normal') !== tier) continue;
     keys.push(key);
     requests.push({ obj: 0, address: dp.address });
   }
@@ -152,13 +285,15 @@ function getDatapointRequestList() {
 /**
  * Get ordered setpoint request list for NabtoConnection.readSetpoints.
  * Uses readAddress for reading.
+ * @param {string} [tier] - only include registers in this poll tier (see RegisterTypes.PollTier)
  * @returns {{ keys: string[], requests: { obj: number, address: number }[] }}
  */
-function getSetpointRequestList() {
+function getSetpointRequestList(tier) {
   const keys = [];
   const requests = [];
   for (const [key, sp] of Object.entries(Optima251Setpoints)) {
     if (sp.writeOnly) continue;
+    if (tier && (sp.pollTier || 'normal') !== tier) continue;
     keys.push(key);
     requests.push({ obj: 0, address: sp.readAddress });
   }
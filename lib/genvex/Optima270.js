@@ -1,5 +1,7 @@
 'use strict';
 
+const { AlarmEncoding } = require('./RegisterTypes');
+
 /**
  * Register definitions for Optima 270 controller
  * Used by ECO 300, ECO 300 XL, ECO 400 XL, etc.
@@ -10,6 +12,13 @@
  * Datapoints are read-only sensors (CMD_DATAPOINT_READLIST).
  * Setpoints are read/write controls (CMD_SETPOINT_READLIST / CMD_SETPOINT_WRITELIST).
  * For setpoints, readAddress is for reading, writeAddress is for writing.
+ * On the Optima 270 the write address is always 2 * readAddress + 10.
+ *
+ * Optional sensors (preheat, CO2, VOC) read raw 0 when they are not installed.
+ *
+ * pollTier sets how often a register is polled (see RegisterTypes.PollTier).
+ * homeyCapability, transform and the other Homey fields are described at
+ * RegisterTypes.CapabilityTransform.
  */
 
 const Optima270Datapoints = {
@@ -19,7 +28,8 @@ const Optima270Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.supply'
+    homeyCapability: 'measure_temperature.supply',
+    pollTier: 'fast'
   },
   TEMP_OUTSIDE: {
     name: 'outsideTemperature',
@@ -27,7 +37,8 @@ const Optima270Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.outside'
+    homeyCapability: 'measure_temperature.outside',
+    pollTier: 'fast'
   },
   TEMP_EXHAUST: {
     name: 'exhaustTemperature',
@@ -35,7 +46,8 @@ const Optima270Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.exhaust'
+    homeyCapability: 'measure_temperature.exhaust',
+    pollTier: 'fast'
   },
   TEMP_EXTRACT: {
     name: 'extractTemperature',
@@ -43,7 +55,8 @@ const Optima270Datapoints = {
     divider: 10,
     offset: -300,
     unit: '\u00b0C',
-    homeyCapability: 'measure_temperature.extract'
+    homeyCapability: 'measure_temperature.extract',
+    pollTier: 'fast'
   },
   HUMIDITY: {
     name: 'humidity',
@@ -51,15 +64,18 @@ const Optima270Datapoints = {
     divider: 1,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_humidity'
+    homeyCapability: 'measure_humidity',
+    pollTier: 'normal'
   },
+  // Fan duty cycles, used by the power estimate (see PowerModel)
   DUTYCYCLE_SUPPLY: {
     name: 'dutyCycleSupply',
     address: 18,
     divider: 100,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_fan_speed.supply'
+    homeyCapability: null,
+    pollTier: 'normal'
   },
   DUTYCYCLE_EXTRACT: {
     name: 'dutyCycleExtract',
@@ -67,7 +83,8 @@ const Optima270Datapoints = {
     divider: 100,
     offset: 0,
     unit: '%',
-    homeyCapability: 'measure_fan_speed.extract'
+    homeyCapability: null,
+    pollTier: 'normal'
   },
   RPM_SUPPLY: {
     name: 'rpmSupply',
@@ -75,7 +92,10 @@ const Optima270Datapoints = {
     divider: 1,
     offset: 0,
     unit: 'RPM',
-    homeyCapability: 'measure_rpm.supply'
+    homeyCapability: 'measure_rpm.supply',
+    transform: 'clamp',
+    range: [0, 10000],  // Reads -1 without an RPM sensor
+    pollTier: 'normal'
   },
   RPM_EXTRACT: {
     name: 'rpmExtract',
@@ -83,7 +103,10 @@ const Optima270Datapoints = {
     divider: 1,
     offset: 0,
     unit: 'RPM',
-    homeyCapability: 'measure_rpm.extract'
+    homeyCapability: 'measure_rpm.extract',
+    transform: 'clamp',
+    range: [0, 10000],  // Reads -1 without an RPM sensor
+    pollTier: 'normal'
   },
   BYPASS_ACTIVE: {
     name: 'bypassActive',
@@ -91,7 +114,9 @@ const Optima270Datapoints = {
     divider: 1,
     offset: 0,
     unit: '',
-    homeyCapability: 'alarm_bypass'
+    homeyCapability: 'alarm_bypass',
+    transform: 'boolean',
+    pollTier: 'normal'
   },
   ALARM: {
     name: 'alarm',
@@ -99,7 +124,96 @@ const Optima270Datapoints = {
     divider: 1,
     offset: 0,
     unit: '',
-    homeyCapability: 'alarm_generic'
+    homeyCapability: 'alarm_generic',
+    pollTier: 'fast',
+    // A status word: bit n set = alarm n + 1, so concurrent alarms all show
+    // (genvexnabto models/optima270.py reads it as bits)
+    alarmEncoding: AlarmEncoding.BITMASK,
+    burstOnChange: true  // Poll closely for a while when the alarm changes
+  },
+  // Temperature after the preheating element (only with preheat installed)
+  TEMP_PREHEAT: {
+    name: 'preheatTemperature',
+    address: 24,
+    divider: 10,
+    offset: -300,
+    unit: '\u00b0C',
+    homeyCapability: 'measure_temperature.preheat',
+    optional: true,
+    capabilityOptions: { title: { en: 'Preheat Temperature', da: 'Forvarmetemperatur' } },
+    pollTier: 'normal'
+  },
+  // Temperature after the reheating element
+  TEMP_REHEAT: {
+    name: 'reheatTemperature',
+    address: 25,
+    divider: 10,
+    offset: -300,
+    unit: '\u00b0C',
+    homeyCapability: 'measure_temperature.reheat',
+    optional: true,
+    capabilityOptions: { title: { en: 'Reheat Temperature', da: 'Eftervarmetemperatur' } },
+    pollTier: 'normal'
+  },
+  // Optional sensors, raw 0 when not installed
+  CO2: {
+    name: 'co2',
+    address: 27,
+    divider: 1,
+    offset: 0,
+    unit: 'ppm',
+    homeyCapability: 'measure_co2',
+    optional: true,
+    capabilityOptions: { title: { en: 'CO2', da: 'CO2' } },
+    pollTier: 'normal'
+  },
+  VOC: {
+    name: 'voc',
+    address: 28,
+    divider: 1,
+    offset: 0,
+    unit: '',
+    homeyCapability: 'measure_tvoc_index',
+    optional: true,
+    capabilityOptions: { title: { en: 'VOC', da: 'VOC' } },
+    pollTier: 'normal'
+  },
+  PREHEAT_ACTIVE: {
+    name: 'preheatActive',
+    address: 54,
+    divider: 1,
+    offset: 0,
+    unit: '',
+    homeyCapability: null,
+    pollTier: 'normal'
+  },
+  REHEAT_ACTIVE: {
+    name: 'reheatActive',
+    address: 55,
+    divider: 1,
+    offset: 0,
+    unit: '',
+    homeyCapability: null,
+    pollTier: 'normal'
+  },
+  FROST_PROTECTION_ACTIVE: {
+    name: 'frostProtectionActive',
+    address: 56,
+    divider: 1,
+    offset: 0,
+    unit: '',
+    homeyCapability: null,
+    pollTier: 'normal'
+  },
+  // Minutes left of a boost started on the unit
+  BOOST_REMAINING: {
+    name: 'boostRemaining',
+    address: 57,
+    divider: 1,
+    offset: 0,
+    unit: 'min',
+    homeyCapability: null,
+    pollTier: 'normal'
   }
 };
 
@@ -113,7 +227,10 @@ const Optima270Setpoints = {
     min: 1,
     max: 4,
     unit: '',
-    homeyCapability: 'measure_fan_speed'
+    homeyCapability: 'measure_fan_speed',
+    transform: 'integer',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   TEMP_SETPOINT: {
     name: 'temperatureSetpoint',
@@ -124,7 +241,9 @@ const Optima270Setpoints = {
     min: 0,
     max: 200,
     unit: '\u00b0C',
-    homeyCapability: 'target_temperature'
+    homeyCapability: 'target_temperature',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   BYPASS_OPENOFFSET: {
     name: 'bypassOpenOffset',
@@ -135,7 +254,9 @@ const Optima270Setpoints = {
     min: 0,
     max: 10,
     unit: '\u00b0C',
-    homeyCapability: null
+    homeyCapability: null,
+    homeySetting: 'bypass_open_offset',
+    pollTier: 'slow'
   },
   REHEATING: {
     name: 'reheating',
@@ -146,7 +267,10 @@ const Optima270Setpoints = {
     min: 0,
     max: 1,
     unit: '',
-    homeyCapability: 'genvex_reheat'
+    homeyCapability: 'genvex_reheat',
+    transform: 'boolean',
+    homeySetable: true,
+    pollTier: 'slow'
   },
   FILTER_DAYS: {
     name: 'filterDays',
@@ -157,7 +281,9 @@ const Optima270Setpoints = {
     min: 0,
     max: 65535,
     unit: 'days',
-    homeyCapability: 'genvex_filter_days'
+    homeyCapability: 'genvex_filter_days',
+    transform: 'integer',
+    pollTier: 'slow'
   },
   FILTER_RESET: {
     name: 'filterReset',
@@ -170,17 +296,220 @@ const Optima270Setpoints = {
     unit: '',
     homeyCapability: null,
     writeOnly: true  // Excluded from polling; reading this register may reset the filter counter
+  },
+  // Humidity control: raise the fan level when humidity exceeds the limit
+  HUMIDITY_CONTROL: {
+    name: 'humidityControl',
+    readAddress: 6,
+    writeAddress: 22,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 1,
+    unit: '',
+    homeyCapability: null,
+    homeySetting: 'humidity_control',
+    pollTier: 'slow'
+  },
+  HUMIDITY_LIMIT: {
+    name: 'humidityLimit',
+    readAddress: 8,
+    writeAddress: 26,
+    divider: 1,
+    offset: 0,
+    min: 20,
+    max: 90,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'humidity_limit',
+    pollTier: 'slow'
+  },
+  // Supply/extract fan duty cycle for each fan level
+  SUPPLY_LEVEL1: {
+    name: 'supplyLevel1',
+    readAddress: 9,
+    writeAddress: 28,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level1',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL2: {
+    name: 'supplyLevel2',
+    readAddress: 10,
+    writeAddress: 30,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level2',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL3: {
+    name: 'supplyLevel3',
+    readAddress: 11,
+    writeAddress: 32,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level3',
+    pollTier: 'slow'
+  },
+  SUPPLY_LEVEL4: {
+    name: 'supplyLevel4',
+    readAddress: 12,
+    writeAddress: 34,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'supply_level4',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL1: {
+    name: 'extractLevel1',
+    readAddress: 13,
+    writeAddress: 36,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level1',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL2: {
+    name: 'extractLevel2',
+    readAddress: 14,
+    writeAddress: 38,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level2',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL3: {
+    name: 'extractLevel3',
+    readAddress: 15,
+    writeAddress: 40,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level3',
+    pollTier: 'slow'
+  },
+  EXTRACT_LEVEL4: {
+    name: 'extractLevel4',
+    readAddress: 16,
+    writeAddress: 42,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 100,
+    unit: '%',
+    homeyCapability: null,
+    homeySetting: 'extract_level4',
+    pollTier: 'slow'
+  },
+  // Bypass only opens when the outside temperature is above this
+  BYPASS_MIN_OUTSIDE: {
+    name: 'bypassMinOutside',
+    readAddress: 22,
+    writeAddress: 54,
+    divider: 10,
+    offset: 0,
+    min: 0,
+    max: 250,
+    unit: '\u00b0C',
+    homeyCapability: null,
+    homeySetting: 'bypass_min_outside',
+    pollTier: 'slow'
+  },
+  // Exhaust temperature at which frost protection reduces supply air (-20 to +5 \u00b0C)
+  FROST_PROTECTION_TEMP: {
+    name: 'frostProtectionTemperature',
+    readAddress: 23,
+    writeAddress: 56,
+    divider: 10,
+    offset: -200,
+    min: 0,
+    max: 250,
+    unit: '\u00b0C',
+    homeyCapability: null,
+    homeySetting: 'frost_protection_temperature',
+    pollTier: 'slow'
+  },
+  // Duration of a boost started from the unit panel
+  BOOST_TIME: {
+    name: 'boostTime',
+    readAddress: 30,
+    writeAddress: 70,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 240,
+    unit: 'min',
+    homeyCapability: null,
+    homeySetting: 'boost_time',
+    pollTier: 'slow'
+  },
+  // Built-in week program on/off
+  WEEK_PROGRAM: {
+    name: 'weekProgram',
+    readAddress: 40,
+    writeAddress: 90,
+    divider: 1,
+    offset: 0,
+    min: 0,
+    max: 1,
+    unit: '',
+    homeyCapability: null,
+    homeySetting: 'week_program',
+    pollTier: 'slow'
+  },
+  CO2_LIMIT: {
+    name: 'co2Limit',
+    readAddress: 41,
+    writeAddress: 92,
+    divider: 1,
+    offset: 0,
+    min: 400,
+    max: 2000,
+    unit: 'ppm',
+    homeyCapability: null,
+    homeySetting: 'co2_limit',
+    pollTier: 'slow'
   }
 };
 
 /**
  * Get ordered datapoint request list for NabtoConnection.readDatapoints.
+ * @param {string} [tier] - only include registers in this poll tier (see RegisterTypes.PollTier)
  * @returns {{ keys: string[], requests: { obj: number, address: number }[] }}
  */
-function getDatapointRequestList() {
+function getDatapointRequestList(tier) {
   const keys = [];
   const requests = [];
   for (const [key, dp] of Object.entries(Optima270Datapoints)) {
+    if (tier && (dp.pollTier || 'normal') !== tier) continue;
     keys.push(key);
     requests.push({ obj: 0, address: dp.address });
   }
@@ -190,13 +519,15 @@ function getDatapointRequestList() {
 /**
  * Get ordered setpoint request list for NabtoConnection.readSetpoints.
  * Uses readAddress for reading.
+ * @param {string} [tier] - only include registers in this poll tier (see RegisterTypes.PollTier)
  * @returns {{ keys: string[], requests: { obj: number, address: number }[] }}
  */
-function getSetpointRequestList() {
+function getSetpointRequestList(tier) {
   const keys = [];
   const requests = [];
   for (const [key, sp] of Object.entries(Optima270Setpoints)) {
     if (sp.writeOnly) continue;  // Skip write-only setpoints (e.g. FILTER_RESET)
+    if (tier && (sp.pollTier || 'normal') !== tier) continue;
     keys.push(key);
     requests.push({ obj: 0, address: sp.readAddress });
   }
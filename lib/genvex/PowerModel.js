@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Electrical power estimate for a unit.
+ *
+ * Fan power starts from a wattage per fan level (calibrated by the user,
+ * e.g. with a plug-in meter). When the unit reports the fans' duty cycle
+ * and the duty cycle configured for the level is known, the wattage is
+ * corrected with the fan affinity law (power ~ speed³), so a unit that is
+ * running its fans harder than the level setpoint, e.g. to keep the
+ * pressure with a clogged filter, is reported as using more.
+ *
+ * Reheat adds the element's wattage while reheating is on. On units that
+ * report whether the element is actually heating (the Optima 270's
+ * reheatActive), only while it is.
+ */
+
+// Don't let a bad duty cycle reading blow the estimate up or down
+const MIN_AFFINITY_FACTOR = 0.25;
+const MAX_AFFINITY_FACTOR = 4;
+
+/**
+ * Affinity-law correction for one fan.
+ * @param {number} [actual] - reported duty cycle, %
+ * @param {number} [configured] - duty cycle configured for the level, %
+ * @returns {number|null} factor, or null when either value is missing
+ */
+function affinityFactor(actual, configured) {
+  if (typeof actual !== 'number' || typeof configured !== 'number' || configured <= 0) return null;
+  const factor = Math.pow(actual / configured, 3);
+  return Math.min(MAX_AFFINITY_FACTOR, Math.max(MIN_AFFINITY_FACTOR, factor));
+}
+
+/**
+ * Estimate the unit's electrical power.
+ * @param {Object} values
+ * @param {number} values.level - fan level
+ * @param {number[]} values.levelWatts - fan wattage by level, index 0 = off/standby
+ * @param {{ supply?: number, extract?: number }} [values.dutyCycle] - reported duty cycles, %
+ * @param {{ supply?: number, extract?: number }} [values.levelDutyCycle] - duty cycles configured for the level, %
+ * @param {boolean} [values.reheating] - reheating switched on
+ * @param {boolean} [values.reheatActive] - element heating right now, if the unit reports it
+ * @param {number} [values.reheatWatts=0]
+ * @returns {{ fans: number, reheat: number, total: number }|null} watts, or null when the level is unknown
+ */
+function estimatePower(values) {
+  const { level, levelWatts } = values;
+  if (typeof level !== 'number' || !levelWatts) return null;
+
+  const base = levelWatts[Math.round(level)];
+  if (typeof base !== 'number') return null;
+
+  // Supply and extract fan are assumed to draw about the same
+  let fans = base;
+  const duty = values.dutyCycle || {};
+  const configured = values.levelDutyCycle || {};
+  const factors = ['supply', 'extract']
+    .map(side => affinityFactor(duty[side], configured[side]))
+    .filter(f => f !== null);
+  if (factors.length > 0 && level > 0) {
+    fans = base * factors.reduce((sum, f) => sum + f, 0) / factors.length;
+  }
+
+  const heating = values.reheating && values.reheatActive !== false;
+  const reheat = heating ? (values.reheatWatts || 0) : 0;
+
+  return { fans, reheat, total: fans + reheat };
+}
+
+module.exports = {
+  estimatePower
+};
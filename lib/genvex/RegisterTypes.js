@@ -20,6 +20,45 @@ const DataType = {
   RAW: 'raw'                     // Unprocessed value
 };
 
+/**
+ * Poll tiers for registers.
+ * Set as `pollTier` on a register definition; GenvexDevice polls each tier
+ * at its own interval. Registers without a tier are polled as NORMAL.
+ */
+const PollTier = {
+  FAST: 'fast',       // Changes quickly or matters immediately (temperatures, alarm)
+  NORMAL: 'normal',   // Default poll interval
+  SLOW: 'slow'        // Rarely changes (setpoints, filter days)
+};
+
+/**
+ * How an alarm register encodes its value.
+ * Set as `alarmEncoding` on the alarm register; decoded by AlarmMessages.decodeAlarms.
+ */
+const AlarmEncoding = {
+  CODE: 'code',       // One alarm code at a time, 0 = no alarm
+  BITMASK: 'bitmask'  // Bit n set = alarm code n + 1 active
+};
+
+/**
+ * How a register value becomes its Homey capability's value.
+ * Set as `transform` on a register with a `homeyCapability`; without one
+ * the converted value is used as is.
+ *
+ * The other Homey fields a register can carry (see GenvexHomeyDevice):
+ *   homeyCapability   - capability showing the value
+ *   homeySetable      - the capability writes the setpoint back
+ *   homeySetting      - device setting mirroring the setpoint
+ *   optional          - sensor that may not be installed (reads raw 0); the
+ *                       capability is only added once it reports, with
+ *                       `capabilityOptions`
+ */
+const CapabilityTransform = {
+  BOOLEAN: 'boolean',  // 0 = false, anything else true
+  INTEGER: 'integer',  // Rounded; setpoint readings outside min..max are dropped as bad reads
+  CLAMP: 'clamp'       // Rounded and clamped to the register's `range: [min, max]`
+};
+
 /**
  * Convert raw register value to display value.
  * Formula: (raw + offset) / divider
@@ -66,6 +105,9 @@ function toRawValue(value, dataType, divider = 1, offset = 0) {
 module.exports = {
   RegisterType,
   DataType,
+  PollTier,
+  AlarmEncoding,
+  CapabilityTransform,
   convertValue,
   toRawValue
 };
@@ -0,0 +1,343 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const MINUTES_PER_WEEK = 7 * 1440;
+
+/**
+ * Week program: time slots that set the fan level and, optionally, the
+ * temperature setpoint.
+ *
+ * A program is written one slot per line as `<days> <HH:MM> <level> [<temperature>]`:
+ *
+ *   mon-fri 06:30 3 21
+ *   mon-fri 22:00 1 19
+ *   sat,sun 08:00 2
+ *
+ * Days are `mon`..`sun`, ranges (`mon-fri`), comma lists or `daily`.
+ * Empty lines and lines starting with `#` are ignored.
+ *
+ * A slot is applied once, when it starts (or when the schedule is enabled
+ * or changed mid-slot). A manual change therefore holds until the next
+ * slot starts. A holiday override replaces the program until it ends,
+ * after which the current slot is applied again.
+ *
+ * Like BoostController it doesn't talk to the unit itself; it is given an
+ * `apply({ level, temperature })` function. Its state ({ lastSlot, holiday })
+ * is emitted on every change so the owner can persist it and hand it back to
+ * `restore()`, which keeps a manual hold across restarts.
+ *
+ * Events:
+ *   'state'   (state)                           - persist it
+ *   'applied' ({ level, temperature, source })  - source is 'slot' or 'holiday'
+ *   'holidayEnded' ()
+ *   'error'   (err)                             - apply failed, retried next minute
+ */
+class WeekSchedule extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.apply = options.apply;
+    this.timezone = options.timezone || 'UTC';
+    this.checkInterval = options.checkInterval || 60000; // 1 minute
+
+    this.slots = options.slots || [];
+    this.enabled = options.enabled || false;
+    this.lastSlot = null;
+    this.holiday = null;
+    this.timer = null;
+    this.checking = false;
+
+    if (options.state) this.restore(options.state);
+  }
+
+  /**
+   * Start checking the program, applying anything due now.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+    this.check();
+  }
+
+  /**
+   * Parse a program.
+   * @param {string} text
+   * @param {{ level?: number[], temperature?: number[] }} [ranges] - allowed [min, max]
+   * @returns {{ days: number[], time: string, minutes: number, level: number, temperature: number|null }[]}
+   * @throws {Error} naming the first invalid line
+   */
+  static parse(text, ranges = {}) {
+    const slots = [];
+    const lines = (text || '').split(/\r?\n/);
+
+    lines.forEach((raw, index) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const fail = (message) => {
+        throw new Error(`Schedule line ${index + 1} ("${line}"): ${message}`);
+      };
+
+      const parts = line.split(/\s+/);
+      if (parts.length < 3 || parts.length > 4) {
+        fail('expected <days> <HH:MM> <level> [<temperature>]');
+      }
+
+      const days = WeekSchedule._parseDays(parts[0]);
+      if (!days) fail(`unknown days "${parts[0]}"`);
+
+      const time = /^(\d{1,2}):(\d{2})$/.exec(parts[1]);
+      if (!time || Number(time[1]) > 23 || Number(time[2]) > 59) {
+        fail(`invalid time "${parts[1]}"`);
+      }
+      const minutes = Number(time[1]) * 60 + Number(time[2]);
+
+      const level = Number(parts[2]);
+      const [minLevel, maxLevel] = ranges.level || [0, 4];
+      if (!Number.isInteger(level) || level < minLevel || level > maxLevel) {
+        fail(`fan level must be ${minLevel}-${maxLevel}`);
+      }
+
+      let temperature = null;
+      if (parts[3] !== undefined) {
+        temperature = Number(parts[3].replace(',', '.'));
+        const [minTemp, maxTemp] = ranges.temperature || [-Infinity, Infinity];
+        if (isNaN(temperature) || temperature < minTemp || temperature > maxTemp) {
+          fail(`temperature must be ${minTemp}-${maxTemp}`);
+        }
+      }
+
+      slots.push({
+        days,
+        time: `${String(time[1]).padStart(2, '0')}:${time[2]}`,
+        minutes,
+        level,
+        temperature
+      });
+    });
+
+    return slots;
+  }
+
+  static _parseDays(spec) {
+    const lower = spec.toLowerCase();
+    if (lower === 'daily' || lower === '*') return [0, 1, 2, 3, 4, 5, 6];
+
+    const days = new Set();
+    for (const part of lower.split(',')) {
+      const range = part.split('-');
+      const from = DAYS.indexOf(range[0]);
+      const to = DAYS.indexOf(range[range.length - 1]);
+      if (from === -1 || to === -1 || range.length > 2) return null;
+      // Ranges may wrap around the week, e.g. sat-mon
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) break;
+      }
+    }
+    return [...days].sort();
+  }
+
+  /**
+   * Replace the program. The slot that is current under the new program is
+   * applied right away.
+   * @param {Object[]} slots - from WeekSchedule.parse()
+   */
+  setSlots(slots) {
+    this.slots = slots;
+    this.lastSlot = null;
+    this._emitState();
+    if (this.enabled) this.check();
+  }
+
+  /**
+   * Turn the program on, applying the current slot right away.
+   */
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+    this.lastSlot = null;
+    this._emitState();
+    this.check();
+  }
+
+  /**
+   * Turn the program off. A holiday override still runs until it ends.
+   */
+  disable() {
+    this.enabled = false;
+  }
+
+  /**
+   * Resume from persisted state (also accepted as the `state` option).
+   * @param {{ lastSlot: string|null, holiday: Object|null }|null} state
+   */
+  restore(state) {
+    if (!state) return;
+    this.lastSlot = state.lastSlot || null;
+    this.holiday = state.holiday || null;
+  }
+
+  /**
+   * Override the program until `until`.
+   * @param {{ until: number, level: number, temperature?: number|null }} holiday
+   */
+  async setHoliday({ until, level, temperature = null }) {
+    if (!(until > Date.now())) {
+      throw new Error('Holiday must end in the future');
+    }
+    this.holiday = { until, level, temperature, applied: false };
+    this._emitState();
+    await this.check();
+  }
+
+  /**
+   * End a holiday override now and go back to the program.
+   * @returns {Promise<boolean>} false if no holiday was set
+   */
+  async clearHoliday() {
+    if (!this.holiday) return false;
+    this._endHoliday();
+    await this.check();
+    return true;
+  }
+
+  /**
+   * Whether a holiday override is set.
+   * @returns {boolean}
+   */
+  isHoliday() {
+    return this.holiday !== null && this.holiday.until > Date.now();
+  }
+
+  /**
+   * Apply whatever is due. Called every checkInterval after start().
+   * Skipped while a previous check is still applying; the next one picks
+   * up anything it missed.
+   * @param {number} [now=Date.now()]
+   */
+  async check(now = Date.now()) {
+    // A slow unit: don't apply the same slot twice
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      await this._check(now);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async _check(now) {
+    if (this.holiday && this.holiday.until <= now) {
+      this._endHoliday();
+    }
+
+    if (this.holiday) {
+      if (!this.holiday.applied) {
+        const { level, temperature } = this.holiday;
+        if (await this._apply({ level, temperature, source: 'holiday' })) {
+          this.holiday.applied = true;
+          this._emitState();
+        }
+      }
+      return;
+    }
+
+    if (!this.enabled) return;
+    const current = this.getCurrentSlot(now);
+    if (!current || current.key === this.lastSlot) return;
+
+    const { level, temperature } = current.slot;
+    if (await this._apply({ level, temperature, source: 'slot' })) {
+      this.lastSlot = current.key;
+      this._emitState();
+    }
+  }
+
+  /**
+   * The slot in force at `now`: the one that started most recently.
+   * @param {number} [now=Date.now()]
+   * @returns {{ slot: Object, key: string }|null} key identifies this occurrence of the slot
+   */
+  getCurrentSlot(now = Date.now()) {
+    if (this.slots.length === 0) return null;
+
+    const local = this._localTime(now);
+    const minuteOfWeek = local.day * 1440 + local.minutes;
+
+    let best = null;
+    this.slots.forEach((slot, index) => {
+      for (const day of slot.days) {
+        const start = day * 1440 + slot.minutes;
+        const ago = (minuteOfWeek - start + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+        if (!best || ago < best.ago) {
+          best = { slot, index, day, ago };
+        }
+      }
+    });
+
+    // Key on the local date the occurrence started, so it doesn't shift with DST
+    const daysBack = (local.day - best.day + 7) % 7 || (best.ago >= 1440 ? 7 : 0);
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.date - daysBack));
+    const key = `${date.toISOString().slice(0, 10)} ${best.slot.time} #${best.index}`;
+    return { slot: best.slot, key };
+  }
+
+  destroy() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async _apply(values) {
+    try {
+      await this.apply(values);
+    } catch (err) {
+      this.emit('error', err);
+      return false;
+    }
+    this.emit('applied', values);
+    return true;
+  }
+
+  _endHoliday() {
+    this.holiday = null;
+    // Put the program back in force from the current slot
+    this.lastSlot = null;
+    this._emitState();
+    this.emit('holidayEnded');
+  }
+
+  _localTime(now) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    });
+    for (const part of format.formatToParts(new Date(now))) {
+      parts[part.type] = part.value;
+    }
+    return {
+      day: DAYS.indexOf(parts.weekday.toLowerCase()),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      year: Number(parts.year),
+      month: Number(parts.month),
+      date: Number(parts.day)
+    };
+  }
+
+  _emitState() {
+    this.emit('state', { lastSlot: this.lastSlot, holiday: this.holiday });
+  }
+}
+
+module.exports = WeekSchedule;
@@ -4,10 +4,28 @@ const GenvexDevice = require('./GenvexDevice');
 const Optima270 = require('./Optima270');
 const Optima251 = require('./Optima251');
 const RegisterTypes = require('./RegisterTypes');
+const ModelRegistry = require('./ModelRegistry');
+const BoostController = require('./BoostController');
+const HumidityController = require('./HumidityController');
+const WeekSchedule = require('./WeekSchedule');
+const HeatRecovery = require('./HeatRecovery');
+const PowerModel = require('./PowerModel');
+const FilterTracker = require('./FilterTracker');
+const AlarmHistory = require('./AlarmHistory');
+const GenvexErrors = require('./GenvexErrors');
 
 module.exports = {
   GenvexDevice,
+  BoostController,
+  HumidityController,
+  WeekSchedule,
+  FilterTracker,
+  AlarmHistory,
   ...Optima270,
   ...Optima251,
-  ...RegisterTypes
+  ...RegisterTypes,
+  ...ModelRegistry,
+  ...HeatRecovery,
+  ...PowerModel,
+  ...GenvexErrors
 };
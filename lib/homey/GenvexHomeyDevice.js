@@ -0,0 +1,1034 @@
+'use strict';
+const Homey = require('homey');
+const GenvexDevice = require('../genvex/GenvexDevice');
+const { AlarmSeverity, getAlarmInfo, getAlarmMessage, decodeAlarms } = require('../genvex/AlarmMessages');
+const { resolveModel, getModelById, getModels } = require('../genvex/ModelRegistry');
+const BoostController = require('../genvex/BoostController');
+const HumidityController = require('../genvex/HumidityController');
+const WeekSchedule = require('../genvex/WeekSchedule');
+const FilterTracker = require('../genvex/FilterTracker');
+const AlarmHistory = require('../genvex/AlarmHistory');
+const NabtoCapture = require('../nabto/NabtoCapture');
+const { NotConnectedError } = require('../nabto/NabtoErrors');
+const { ErrorCode } = require('../genvex/GenvexErrors');
+const { PollTier } = require('../genvex/RegisterTypes');
+
+// Values GenvexDevice derives from the registers -> Homey capability ID
+const DERIVED_CAPABILITY_MAP = {
+  heatRecoveryEfficiency: 'genvex_heat_recovery_efficiency',
+  recoveredPower:         'genvex_recovered_power',
+  recoveredEnergy:        'genvex_recovered_energy',
+  power:                  'measure_power',
+  energyUsed:             'meter_power'
+};
+
+// Capabilities of the app's own features, on every model
+const APP_CAPABILITIES = [
+  'genvex_alarm_code',
+  'genvex_alarm_message',
+  'genvex_boost_remaining',
+  'genvex_heat_recovery_efficiency',
+  'genvex_recovered_power',
+  'genvex_recovered_energy',
+  'measure_power',
+  'meter_power',
+  'genvex_filter_days',
+  'genvex_filter_days_left',
+  'alarm_filter_due'
+];
+
+// HumidityController options from device settings
+const HUMIDITY_OPTIONS = (settings) => ({
+  enabled: settings.humidity_auto === true,
+  riseThreshold: settings.humidity_auto_rise,
+  fallThreshold: settings.humidity_auto_fall,
+  level: settings.humidity_auto_level ? Number(settings.humidity_auto_level) : undefined
+});
+
+// Airflow (m³/h) by fan level from device settings, level 0 = off
+const AIRFLOW = (settings) => [0, 1, 2, 3, 4].map(level => (level === 0 ? 0 : settings[`airflow_level${level}`]));
+
+// Power model parameters from device settings (see PowerModel)
+const POWER = (settings) => ({
+  levelWatts: [settings.power_standby || 0, settings.power_level1, settings.power_level2, settings.power_level3, settings.power_level4],
+  reheatWatts: settings.reheat_power
+});
+
+// IDs of the settings a register of any model backs
+const UNIT_SETTINGS = () => new Set(getModels()
+  .flatMap(({ model }) => [...Object.values(model.datapoints), ...Object.values(model.setpoints)])
+  .map(register => register.homeySetting)
+  .filter(Boolean));
+
+// ErrorCode -> locales key of the message shown to the user
+const USER_ERRORS = {
+  [ErrorCode.CONNECTION_TIMEOUT]: 'errors.connection_timeout',
+  [ErrorCode.NOT_CONNECTED]: 'errors.not_connected',
+  [ErrorCode.REQUEST_TIMEOUT]: 'errors.request_timeout',
+  [ErrorCode.DEVICE_REJECTED]: 'errors.device_rejected',
+  [ErrorCode.RESPONSE_MISMATCH]: 'errors.not_accepted',
+  [ErrorCode.VALIDATION]: 'errors.invalid_value'
+};
+
+const RECONNECT_INTERVAL = 60000; // 1 minute
+const REDISCOVER_AFTER_ATTEMPTS = 3; // look for a new IP after this many failed reconnects
+
+/**
+ * Homey device for a Genvex unit.
+ *
+ * Everything model-specific comes from the Homey fields of the model's
+ * register definitions (see RegisterTypes.CapabilityTransform), found
+ * through ModelRegistry by the model id the device stores (or its driver's
+ * id, on the older per-model drivers). They give the device its capability
+ * set, how readings are converted, which capabilities and settings write
+ * setpoints, and which sensors may be missing. Capabilities neither a
+ * register nor the app provides are removed, which migrates devices paired
+ * with older versions.
+ *
+ * A model's device only sets FLOW_PREFIX, the prefix of its flow card IDs.
+ */
+class GenvexHomeyDevice extends Homey.Device {
+
+  static FLOW_PREFIX = '';
+
+  async onInit() {
+    this.genvex = null;
+    this.reconnectTimer = null;
+    this._reconnectAttempts = 0;
+    this._destroyed = false;
+    this._listenedCapabilities = new Set();
+
+    // A model's own driver only has that model; the genvex driver stores the
+    // model found when pairing
+    const entry = getModelById(this.driver.id) || getModelById(this.getStoreValue('modelId'));
+    this.log(`${entry ? entry.name : 'Unknown model'} device initializing...`);
+    this._useModel(entry);
+
+    this._registerFlowCards();
+
+    this._initBoost();
+    this._initHumidityControl();
+    this._initSchedule();
+    this._initFilter();
+    this._initAlarms();
+
+    this._capture = null;
+    this._setCapture(this.getSetting('packet_capture') === true);
+
+    if (!entry) {
+      // Another model's register map could write to the wrong addresses
+      this.log(`Unknown model: ${this.getStoreValue('modelId')}`);
+      await this.setUnavailable(this.homey.__('errors.model_unknown'));
+      return;
+    }
+    await this._setupModel(entry.id);
+  }
+
+  /**
+   * Take the registers of a ModelRegistry entry, or none for null.
+   * @param {{ id: string, model: Object }|null} entry
+   */
+  _useModel(entry) {
+    this._modelId = entry ? entry.id : null;
+    this._model = entry ? entry.model : null;
+    this._buildCapabilityMap();
+
+    // Units with a filter day counter report it; on others the app counts
+    this._hasFilterCounter = Boolean(this._model && this._model.getSetpointByName('filterDays'));
+  }
+
+  /**
+   * Run as a model: fit the capabilities to its registers and connect with
+   * them. Called from onInit, and again when the unit turns out to be
+   * another model; listeners registered before are kept.
+   * @param {string} modelId - ModelRegistry id
+   */
+  async _setupModel(modelId) {
+    const entry = getModelById(modelId);
+    if (this.genvex) {
+      // Closed on purpose: don't mark the device unavailable and reconnect
+      this.genvex.removeAllListeners('disconnected');
+      this.genvex.disconnect();
+      this.genvex = null;
+    }
+
+    if (entry.id !== this._modelId) {
+      this.log(`Switching model: ${this._modelId} -> ${entry.id}`);
+      await this.setStoreValue('modelId', entry.id);
+      this._useModel(entry);
+      this._alarms.model = entry.id;
+      if (this._capture) this._capture.meta.model = entry.id;
+      // Its ranges may differ; a slot is applied again, now to the right registers
+      this._schedule.setSlots(this._scheduleSlots());
+    }
+
+    await this._migrateCapabilities();
+    this._registerCapabilityListeners();
+    await this._connect();
+  }
+
+  /**
+   * Map register names to capabilities and settings from the registers' Homey fields.
+   */
+  _buildCapabilityMap() {
+    this._capabilities = new Map();       // capability ID -> { register }
+    this._capabilityByName = new Map();   // register name -> capability ID
+    this._settingRegisters = new Map();   // setting ID -> register
+    const registers = this._model
+      ? [...Object.values(this._model.datapoints), ...Object.values(this._model.setpoints)]
+      : [];
+    for (const register of registers) {
+      if (register.homeySetting) this._settingRegisters.set(register.homeySetting, register);
+      if (!register.homeyCapability) continue;
+      this._capabilities.set(register.homeyCapability, { register });
+      this._capabilityByName.set(register.name, register.homeyCapability);
+    }
+  }
+
+  /**
+   * Setable capabilities write their setpoint. The register is looked up on
+   * each write, as a model switch replaces it.
+   */
+  _registerCapabilityListeners() {
+    for (const [capId, { register }] of this._capabilities) {
+      if (!register.homeySetable || this._listenedCapabilities.has(capId)) continue;
+      this._listenedCapabilities.add(capId);
+      this.registerCapabilityListener(capId, async (value) => {
+        const { name } = this._capabilities.get(capId).register;
+        await this._writeSetpoint(name, typeof value === 'boolean' ? (value ? 1 : 0) : Number(value));
+        if (name === 'fanSpeed') this._clearAutomation();
+      });
+    }
+  }
+
+  /**
+   * Add the capabilities the registers and app features provide, and remove
+   * any left over from older versions. Optional sensors are kept once added.
+   */
+  async _migrateCapabilities() {
+    const required = [];
+    const optional = [];
+    for (const [capId, { register }] of this._capabilities) {
+      (register.optional ? optional : required).push(capId);
+    }
+    for (const capId of APP_CAPABILITIES) {
+      if (!required.includes(capId)) required.push(capId);
+    }
+
+    for (const old of this.getCapabilities()) {
+      if (required.includes(old) || optional.includes(old)) continue;
+      this.log(`Removing old capability: ${old}`);
+      await this.removeCapability(old);
+    }
+    for (const cap of required) {
+      if (!this.hasCapability(cap)) {
+        this.log(`Adding missing capability: ${cap}`);
+        await this.addCapability(cap);
+      }
+    }
+  }
+
+  _flowCardId(id) {
+    return `${this.constructor.FLOW_PREFIX}${id}`;
+  }
+
+  _registerFlowCards() {
+    const flow = this.homey.flow;
+    const id = (name) => this._flowCardId(name);
+
+    // Flow card: triggers
+    this._triggerTemperatureChanged = flow.getDeviceTriggerCard(id('temperature_changed'));
+    this._triggerBypassChanged = flow.getDeviceTriggerCard(id('bypass_changed'));
+    this._triggerBoostEnded = flow.getDeviceTriggerCard(id('boost_ended'));
+    this._triggerFilterDue = flow.getDeviceTriggerCard(id('filter_due'));
+    this._triggerAlarmRaised = flow.getDeviceTriggerCard(id('alarm_raised'));
+    this._triggerAlarmCleared = flow.getDeviceTriggerCard(id('alarm_cleared'));
+
+    // Flow card: conditions
+    flow.getConditionCard(id('bypass_is_active'))
+      .registerRunListener(async (args, state) => {
+        return args.device.getCapabilityValue('alarm_bypass') === true;
+      });
+
+    flow.getConditionCard(id('alarm_code_is'))
+      .registerRunListener(async (args, state) => {
+        return args.device._alarms.getActive().some(alarm => alarm.code === args.code);
+      });
+
+    flow.getConditionCard(id('alarm_category_is'))
+      .registerRunListener(async (args, state) => {
+        return args.device._alarms.getActive().some(alarm => alarm.category === args.category);
+      });
+
+    flow.getConditionCard(id('fan_level_is'))
+      .registerRunListener(async (args, state) => {
+        return args.device.getCapabilityValue('measure_fan_speed') === Number(args.level);
+      });
+
+    // Flow card: actions
+    flow.getActionCard(id('set_fan_level'))
+      .registerRunListener(async (args, state) => {
+        await args.device._writeSetpoint('fanSpeed', Number(args.level));
+        args.device._clearAutomation();
+      });
+
+    flow.getActionCard(id('start_boost'))
+      .registerRunListener(async (args, state) => {
+        await args.device.boostFor(Number(args.level), args.minutes);
+      });
+
+    flow.getActionCard(id('cancel_boost'))
+      .registerRunListener(async (args, state) => {
+        await args.device.cancelBoost();
+      });
+
+    flow.getActionCard(id('pause_humidity_control'))
+      .registerRunListener(async (args, state) => {
+        await args.device._humidity.pause(args.minutes);
+      });
+
+    flow.getActionCard(id('set_schedule_enabled'))
+      .registerRunListener(async (args, state) => {
+        await args.device._setScheduleEnabled(args.state === 'on');
+      });
+
+    flow.getActionCard(id('start_holiday'))
+      .registerRunListener(async (args, state) => {
+        await args.device._schedule.setHoliday({
+          until: Date.now() + args.days * 24 * 60 * 60 * 1000,
+          level: Number(args.level),
+          temperature: args.temperature
+        });
+      });
+
+    flow.getActionCard(id('end_holiday'))
+      .registerRunListener(async (args, state) => {
+        await args.device._schedule.clearHoliday();
+      });
+
+    flow.getActionCard(id('set_temperature'))
+      .registerRunListener(async (args, state) => {
+        await args.device._writeSetpoint('temperatureSetpoint', args.temperature);
+      });
+
+    flow.getActionCard(id('set_ventilation'))
+      .registerRunListener(async (args, state) => {
+        await args.device._writeSetpoints({
+          fanSpeed: Number(args.level),
+          temperatureSetpoint: args.temperature,
+          reheating: args.reheat === 'on' ? 1 : 0
+        });
+        args.device._clearAutomation();
+      });
+
+    flow.getActionCard(id('reset_filter_counter'))
+      .registerRunListener(async (args, state) => {
+        await args.device._writeSetpoint('filterReset', 1);
+        args.device._filter.reset();
+      });
+  }
+
+  _initBoost() {
+    // Pending revert lives in the store so it survives app restarts
+    this._boost = new BoostController({
+      setLevel: (level) => this._writeSetpoint('fanSpeed', level),
+      getLevel: () => this.getCapabilityValue('measure_fan_speed')
+    });
+    this._boost.on('state', (state) => {
+      this.setStoreValue('boost', state).catch((err) => {
+        this.log('Failed to store boost state:', err.message);
+      });
+    });
+    this._boost.on('tick', (minutes) => {
+      this._safeSetCapability('genvex_boost_remaining', minutes);
+    });
+    this._boost.on('ended', ({ reason, previousLevel }) => {
+      this.log(`Boost ${reason}, fan level restored to ${previousLevel}`);
+      this._triggerBoostEnded.trigger(this, { level: previousLevel, reason }).catch(() => {});
+    });
+    this._boost.on('error', (err) => {
+      this.log('Failed to end boost, retrying:', err.message);
+    });
+    this._boost.restore(this.getStoreValue('boost'));
+  }
+
+  _initHumidityControl() {
+    // An active raise lives in the store, like a boost, so its level is still put back after a restart
+    this._humidity = new HumidityController({
+      setLevel: (level) => this._writeSetpoint('fanSpeed', level),
+      getLevel: () => this.getCapabilityValue('measure_fan_speed'),
+      ...HUMIDITY_OPTIONS(this.getSettings())
+    });
+    this._humidity.on('state', (state) => {
+      this.setStoreValue('humidity', state).catch((err) => {
+        this.log('Failed to store humidity automation state:', err.message);
+      });
+    });
+    this._humidity.on('activated', ({ humidity, baseline, level }) => {
+      this.log(`Humidity ${humidity}% above baseline ${baseline.toFixed(1)}%, fan level raised to ${level}`);
+    });
+    this._humidity.on('deactivated', ({ reason, baseline }) => {
+      this.log(`Humidity automation ended (${reason}), baseline ${baseline.toFixed(1)}%`);
+    });
+    this._humidity.on('error', (err) => {
+      this.log('Humidity automation failed to set fan level:', err.message);
+    });
+    this._humidity.restore(this.getStoreValue('humidity'));
+  }
+
+  /**
+   * Values allowed in the week schedule, from the register ranges.
+   */
+  _scheduleRanges() {
+    if (!this._model) return {};
+    const { FAN_SPEED, TEMP_SETPOINT } = this._model.setpoints;
+    return {
+      level: [FAN_SPEED.min, FAN_SPEED.max],
+      temperature: [TEMP_SETPOINT.min, TEMP_SETPOINT.max]
+        .map(raw => this._model.convertSetpointValue(raw, TEMP_SETPOINT))
+    };
+  }
+
+  _scheduleSlots() {
+    try {
+      return WeekSchedule.parse(this.getSetting('schedule'), this._scheduleRanges());
+    } catch (err) {
+      this.log('Invalid week schedule:', err.message);
+      return [];
+    }
+  }
+
+  _initSchedule() {
+    const settings = this.getSettings();
+
+    // Last applied slot lives in the store so a manual hold survives restarts
+    this._schedule = new WeekSchedule({
+      apply: ({ level, temperature }) => this._applySchedule(level, temperature),
+      timezone: this.homey.clock.getTimezone(),
+      slots: this._scheduleSlots(),
+      enabled: settings.schedule_enabled === true,
+      state: this.getStoreValue('schedule')
+    });
+    this._schedule.on('state', (state) => {
+      this.setStoreValue('schedule', state).catch((err) => {
+        this.log('Failed to store schedule state:', err.message);
+      });
+    });
+    this._schedule.on('applied', ({ level, temperature, source }) => {
+      this.log(`Schedule (${source}): fan level ${level}` + (temperature !== null ? `, ${temperature} °C` : ''));
+    });
+    this._schedule.on('holidayEnded', () => {
+      this.log('Holiday ended, back to the week schedule');
+    });
+    this._schedule.on('error', (err) => {
+      this.log('Failed to apply schedule, retrying:', err.message);
+    });
+    this._schedule.start();
+  }
+
+  async _applySchedule(level, temperature) {
+    const values = { fanSpeed: level };
+    if (temperature !== null) values.temperatureSetpoint = temperature;
+    await this._writeSetpoints(values);
+    this._clearAutomation();
+  }
+
+  async _setScheduleEnabled(enabled) {
+    await this.setSettings({ schedule_enabled: enabled });
+    if (enabled) {
+      this._schedule.enable();
+    } else {
+      this._schedule.disable();
+    }
+  }
+
+  _initFilter() {
+    const settings = this.getSettings();
+    let state = this.getStoreValue('filter');
+    if (!state && this._model && !this._hasFilterCounter) {
+      // No filter counter on the unit: count from when the device was added
+      state = { lastReset: Date.now(), history: [], due: false };
+      this.setStoreValue('filter', state).catch(() => {});
+    }
+
+    this._filter = new FilterTracker({
+      intervalDays: settings.filter_interval,
+      warningDays: settings.filter_warning_days,
+      state
+    });
+    this._filter.on('state', (filterState) => {
+      this.setStoreValue('filter', filterState).catch((err) => {
+        this.log('Failed to store filter state:', err.message);
+      });
+    });
+    this._filter.on('update', ({ daysSince, daysLeft, due }) => {
+      if (!this._hasFilterCounter) this._safeSetCapability('genvex_filter_days', daysSince);
+      this._safeSetCapability('genvex_filter_days_left', daysLeft);
+      this._safeSetCapability('alarm_filter_due', due);
+    });
+    this._filter.on('due', ({ daysLeft }) => {
+      this.log(`Filter change due in ${daysLeft} days`);
+      this._triggerFilterDue.trigger(this, { days_left: daysLeft }).catch(() => {});
+    });
+    this._filter.on('reset', ({ date, source }) => {
+      this.log(`Filter change recorded (${source})`);
+      this._showLastFilterChange(date);
+    });
+
+    if (this._filter.lastReset !== null) this._showLastFilterChange(this._filter.lastReset);
+    this._filter.update();
+  }
+
+  _showLastFilterChange(date) {
+    this.setSettings({ filter_last_change: new Date(date).toISOString().slice(0, 10) }).catch(() => {});
+  }
+
+  _initAlarms() {
+    this._alarms = new AlarmHistory({
+      model: this._modelId,
+      state: this.getStoreValue('alarms')
+    });
+    this._alarms.on('state', (state) => {
+      this.setStoreValue('alarms', state).catch((err) => {
+        this.log('Failed to store alarm history:', err.message);
+      });
+    });
+    this._alarms.on('raised', ({ code }) => {
+      const { message, category, severity, action } = getAlarmInfo(code, {
+        model: this._modelId,
+        language: this.homey.i18n.getLanguage()
+      });
+      this.log(`Alarm raised: ${code} (${message})`);
+      this._triggerAlarmRaised.trigger(this, {
+        code,
+        message,
+        category,
+        severity,
+        action: action || ''
+      }).catch(() => {});
+    });
+    this._alarms.on('cleared', ({ code, category, duration }) => {
+      const message = getAlarmMessage(code, this.homey.i18n.getLanguage(), this._modelId);
+      this.log(`Alarm cleared: ${code} after ${Math.round(duration / 60000)} minutes`);
+      this._triggerAlarmCleared.trigger(this, {
+        code,
+        message,
+        category,
+        duration: Math.round(duration / 60000)
+      }).catch(() => {});
+    });
+  }
+
+  /**
+   * Show the active alarms: the code of the most severe one, and all messages.
+   * @param {number[]} codes
+   */
+  _showAlarms(codes) {
+    if (codes.length === 0) {
+      this._safeSetCapability('genvex_alarm_code', null);
+      this._safeSetCapability('genvex_alarm_message', null);
+      return;
+    }
+
+    const language = this.homey.i18n.getLanguage();
+    const alarms = codes.map(code => getAlarmInfo(code, { model: this._modelId, language }));
+    const order = Object.values(AlarmSeverity);
+    const worst = alarms.reduce((a, b) => (order.indexOf(b.severity) < order.indexOf(a.severity) ? b : a));
+
+    this._safeSetCapability('genvex_alarm_code', worst.code);
+    this._safeSetCapability('genvex_alarm_message', alarms.map(alarm => alarm.message).join('; '));
+  }
+
+  /**
+   * Alarm history for the app API.
+   * @param {{ limit?: number, since?: number }} [options]
+   * @returns {{ active: Object[], entries: Object[] }}
+   */
+  getAlarmHistory(options) {
+    return {
+      active: this._alarms.getActive(),
+      entries: this._alarms.getHistory(options)
+    };
+  }
+
+  /**
+   * Raw register read for the register explorer (app API).
+   * @param {'datapoint'|'setpoint'} type
+   * @param {number[]} addresses
+   */
+  async readRegisters(type, addresses) {
+    this._assertConnected();
+    return this.genvex.readRawRegisters(type, addresses);
+  }
+
+  /**
+   * Raw setpoint write for the register explorer (app API).
+   * @param {number} writeAddress
+   * @param {number} rawValue
+   */
+  async writeRegister(writeAddress, rawValue) {
+    this._assertConnected();
+    this.log(`Register explorer: writing raw ${rawValue} to setpoint address ${writeAddress}`);
+    await this.genvex.writeRawSetpoint(writeAddress, rawValue);
+  }
+
+  /**
+   * Start or stop recording the connection's datagrams. Stopping discards the capture.
+   * @param {boolean} enabled
+   */
+  _setCapture(enabled) {
+    if (enabled && !this._capture) {
+      this._capture = new NabtoCapture({
+        meta: {
+          model: this._modelId,
+          deviceId: this.getSetting('device_id') || this.getStore().deviceId || 'unknown'
+        }
+      });
+    } else if (!enabled) {
+      this._capture = null;
+    }
+    if (this.genvex) this.genvex.setCapture(this._capture);
+  }
+
+  /**
+   * Packet capture export (app API), for NabtoReplay.
+   * @returns {Object} NabtoCapture#toJSON
+   */
+  getCapture() {
+    if (!this._capture) {
+      throw new Error('Packet capture is off for this device');
+    }
+    return this._capture.toJSON();
+  }
+
+  _clearAutomation() {
+    // The level was set by hand: don't revert it later
+    this._boost.clear();
+    this._humidity.clear();
+  }
+
+  /**
+   * Run the fans at `level` for `minutes`, then restore the previous level.
+   * @param {number} level
+   * @param {number} minutes
+   */
+  async boostFor(level, minutes) {
+    this.log(`Boosting to level ${level} for ${minutes} minutes`);
+    await this._boost.start(level, minutes);
+  }
+
+  async cancelBoost() {
+    await this._boost.cancel();
+  }
+
+  async _connect() {
+    this._clearReconnect();
+
+    const settings = this.getSettings();
+    const store = this.getStore();
+
+    const ip = settings.ip_address || store.ip;
+    const email = settings.email || store.email;
+    const deviceId = settings.device_id || store.deviceId || 'unknown';
+    const pollInterval = (settings.poll_interval || 30) * 1000;
+    const pollIntervals = {
+      fast: (settings.poll_interval_fast || 10) * 1000,
+      slow: (settings.poll_interval_slow || 300) * 1000
+    };
+
+    if (!ip || !email) {
+      this.setUnavailable(this.homey.__('errors.not_configured'));
+      return;
+    }
+
+    try {
+      this.genvex = new GenvexDevice({
+        deviceId,
+        ip,
+        email,
+        pollInterval,
+        pollIntervals,
+        airflow: AIRFLOW(settings),
+        recoveredEnergy: this.getCapabilityValue('genvex_recovered_energy') || 0,
+        power: POWER(settings),
+        energyUsed: this.getCapabilityValue('meter_power') || 0,
+        verifyWrites: settings.verify_writes === true,
+        capture: this._capture,
+        model: this._model
+      });
+
+      this.genvex.on('data', ({ name, value, capability }) => {
+        this._updateCapabilityFromName(name, value);
+        if (name === 'filterDays') this._filter.setUnitDays(value);
+      });
+
+      // Feed each poll of the humidity register's own tier, changed or not, so
+      // the baseline averages readings taken at a steady interval. Other
+      // tiers and burst polls would repeat the cached reading.
+      const humidity = Object.values(this._model.datapoints).find(register => register.name === 'humidity');
+      const humidityTier = humidity ? humidity.pollTier || PollTier.NORMAL : null;
+      this.genvex.on('polled', (data, tier) => {
+        // Days are counted by the app, so recheck them now and then
+        if (!this._hasFilterCounter) this._filter.update();
+
+        // A timed boost takes precedence over the humidity automation
+        if (tier === humidityTier && data.has('humidity') && !this._boost.isActive()) {
+          this._humidity.update(data.get('humidity')).catch(() => {});
+        }
+      });
+
+      this.genvex.on('model', (modelInfo) => {
+        this.setSettings({
+          device_model: `${modelInfo.deviceNumber}/${modelInfo.deviceModel}`
+        }).catch(() => {});
+        this._checkModel(modelInfo);
+      });
+
+      this.genvex.on('error', (err) => {
+        this.log('Device error:', err.code || '', err.message);
+      });
+
+      this.genvex.on('disconnected', () => {
+        if (this._destroyed) return;
+        this.log('Device disconnected');
+        this.setUnavailable(this.homey.__('errors.connection_lost'));
+        this._scheduleReconnect();
+      });
+
+      await this.genvex.connect();
+      this._reconnectAttempts = 0;
+      this.setAvailable();
+      this.log('Connected to Genvex device');
+
+    } catch (err) {
+      this.log('Connection failed:', err.code || '', err.message);
+      this.setUnavailable(err.code === ErrorCode.CONNECTION_TIMEOUT
+        ? this._userError(err).message
+        : this.homey.__('errors.connection_failed', { message: err.message }));
+      this._scheduleReconnect();
+    }
+  }
+
+  _checkModel(modelInfo) {
+    const detected = resolveModel(modelInfo);
+    // Units the registry doesn't know are left alone rather than flagged
+    if (!detected) return;
+
+    if (detected.id === this._modelId) {
+      this.unsetWarning().catch(() => {});
+      return;
+    }
+
+    this.log(`Model mismatch: unit reports ${detected.name}`);
+    if (getModelById(this.driver.id)) {
+      // A model's own driver can't take another model
+      this.setWarning(this.homey.__('errors.model_mismatch', { model: detected.name }))
+        .catch(() => {});
+    } else {
+      this._setupModel(detected.id).catch((err) => {
+        this.log('Failed to switch model:', err.message);
+      });
+    }
+  }
+
+  _updateCapabilityFromName(name, value) {
+    if (DERIVED_CAPABILITY_MAP[name]) {
+      this._safeSetCapability(DERIVED_CAPABILITY_MAP[name], value);
+      return;
+    }
+
+    const capId = this._capabilityByName.get(name);
+    if (!capId) {
+      this._updateSettingFromName(name, value);
+      return;
+    }
+    const { register } = this._capabilities.get(capId);
+
+    if (register.alarmEncoding) {
+      const codes = decodeAlarms(value, { encoding: register.alarmEncoding });
+      this._safeSetCapability(capId, codes.length > 0);
+      this._alarms.update(codes);
+      this._showAlarms(codes);
+    } else if (register.optional && !this.hasCapability(capId)) {
+      this._addOptionalCapability(capId, register, value);
+    } else {
+      const converted = this._toCapabilityValue(register, value);
+      if (converted === undefined) return;
+      this._safeSetCapability(capId, converted);
+    }
+
+    // Fire flow triggers for specific capabilities
+    this._fireFlowTriggers(capId, name, value);
+  }
+
+  /**
+   * Convert a register reading for its capability (see RegisterTypes.CapabilityTransform).
+   * @returns {*} the capability value, or undefined to ignore the reading
+   */
+  _toCapabilityValue(register, value) {
+    switch (register.transform) {
+      case 'boolean':
+        return value !== 0;
+      case 'integer': {
+        const rounded = Math.round(value);
+        if (register.min === undefined) return rounded;
+        const min = this._model.convertSetpointValue(register.min, register);
+        const max = this._model.convertSetpointValue(register.max, register);
+        return rounded >= min && rounded <= max ? rounded : undefined;
+      }
+      case 'clamp': {
+        const [min, max] = register.range;
+        return Math.min(max, Math.max(min, Math.round(value)));
+      }
+      default:
+        return value;
+    }
+  }
+
+  _addOptionalCapability(capId, register, value) {
+    // Raw 0 means the sensor is not installed
+    if (value === this._model.convertDatapointValue(0, register)) return;
+
+    this.log(`Adding capability for installed sensor: ${capId}`);
+    this.addCapability(capId)
+      .then(() => this.setCapabilityOptions(capId, register.capabilityOptions || {}))
+      .then(() => this._safeSetCapability(capId, value))
+      .catch((err) => {
+        this.log(`Failed to add ${capId}:`, err.message);
+      });
+  }
+
+  _updateSettingFromName(name, value) {
+    const key = [...this._settingRegisters.keys()].find(k => this._settingRegisters.get(k).name === name);
+    if (!key) return;
+
+    // Checkbox settings are booleans, the registers are 0/1
+    const current = this.getSetting(key);
+    const next = typeof current === 'boolean' ? value !== 0 : value;
+    if (current !== next) {
+      this.setSettings({ [key]: next }).catch((err) => {
+        this.log(`Failed to update setting ${key}:`, err.message);
+      });
+    }
+  }
+
+  _fireFlowTriggers(capId, name, value) {
+    // Temperature changed trigger
+    if (capId.startsWith('measure_temperature.')) {
+      const tokens = {
+        supply: this.getCapabilityValue('measure_temperature.supply') || 0,
+        outside: this.getCapabilityValue('measure_temperature.outside') || 0,
+        extract: this.getCapabilityValue('measure_temperature.extract') || 0
+      };
+      this._triggerTemperatureChanged.trigger(this, tokens).catch((err) => {
+        this.log('Temperature trigger error:', err.message);
+      });
+    }
+
+    // Bypass changed trigger
+    if (capId === 'alarm_bypass') {
+      const active = value !== 0;
+      this._triggerBypassChanged.trigger(this, { active }).catch((err) => {
+        this.log('Bypass trigger error:', err.message);
+      });
+    }
+  }
+
+  _safeSetCapability(capId, value) {
+    if (this.hasCapability(capId)) {
+      this.setCapabilityValue(capId, value).catch((err) => {
+        this.log(`Failed to set ${capId}:`, err.message);
+      });
+    }
+  }
+
+  async _writeSetpoint(name, value) {
+    this._assertConnected();
+    try {
+      await this.genvex.setValue(name, value);
+    } catch (err) {
+      this.log(`Failed to set ${name}:`, err.code || '', err.message);
+      throw this._userError(err);
+    }
+  }
+
+  async _writeSetpoints(values) {
+    this._assertConnected();
+    let results;
+    try {
+      results = await this.genvex.setValues(values);
+    } catch (err) {
+      throw this._userError(err);
+    }
+    const failed = Object.values(results).filter(r => !r.success);
+    if (failed.length > 0) {
+      failed.forEach(r => this.log('Write failed:', r.code, r.error));
+      throw new Error([...new Set(failed.map(r => this._userError(r).message))].join('; '));
+    }
+    return results;
+  }
+
+  _assertConnected() {
+    if (!this.genvex || !this.genvex.isConnected()) {
+      throw this._userError(new NotConnectedError('Not connected to device'));
+    }
+  }
+
+  /**
+   * An error with a localized message for flows and the device UI, chosen by
+   * the error's ErrorCode. Errors without a known code are returned as they are.
+   * @param {{ code?: string, reason?: string, message?: string }} err - an error, or a failed setValues result
+   * @returns {Error} with the original code and the original error as cause
+   */
+  _userError(err) {
+    const key = USER_ERRORS[err.code];
+    if (!key) return err instanceof Error ? err : new Error(err.error);
+
+    const error = new Error(this.homey.__(key, { reason: err.reason || '' }), { cause: err });
+    error.code = err.code;
+    return error;
+  }
+
+  _scheduleReconnect() {
+    this._clearReconnect();
+    this.reconnectTimer = setTimeout(async () => {
+      this._reconnectAttempts++;
+      if (this._reconnectAttempts >= REDISCOVER_AFTER_ATTEMPTS) {
+        await this._rediscover();
+      }
+      if (this._destroyed) return;
+      this.log('Attempting reconnect...');
+      this._connect();
+    }, RECONNECT_INTERVAL);
+  }
+
+  async _rediscover() {
+    if (!this.genvex) return;
+
+    try {
+      const oldIp = this.genvex.ip;
+      const newIp = await this.genvex.rediscover();
+      if (!newIp) return;
+
+      this.log(`Device found at new IP address: ${oldIp} -> ${newIp}`);
+      await this.setSettings({ ip_address: newIp });
+      await this.setStoreValue('ip', newIp);
+      await this.homey.notifications.createNotification({
+        excerpt: this.homey.__('notifications.ip_changed', { name: this.getName(), oldIp, newIp })
+      });
+    } catch (err) {
+      this.log('Rediscovery failed:', err.message);
+    }
+  }
+
+  _clearReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    if (!this._model) {
+      throw new Error(this.homey.__('errors.model_unknown'));
+    }
+
+    // The genvex driver shows every model's unit settings
+    const unavailable = changedKeys.find(key => !this._settingRegisters.has(key) && UNIT_SETTINGS().has(key));
+    if (unavailable) {
+      throw new Error(this.homey.__('errors.setting_unavailable', { model: getModelById(this._modelId).name }));
+    }
+
+    if (changedKeys.includes('schedule')) {
+      // Parse first so an invalid schedule rejects the settings
+      this._schedule.setSlots(WeekSchedule.parse(newSettings.schedule, this._scheduleRanges()));
+    }
+    if (changedKeys.includes('schedule_enabled')) {
+      if (newSettings.schedule_enabled) {
+        this._schedule.enable();
+      } else {
+        this._schedule.disable();
+      }
+    }
+
+    if (changedKeys.some(key => key.startsWith('humidity_auto'))) {
+      if (newSettings.humidity_auto_fall >= newSettings.humidity_auto_rise) {
+        throw new Error(this.homey.__('errors.humidity_thresholds'));
+      }
+      this._humidity.configure(HUMIDITY_OPTIONS(newSettings));
+    }
+
+    // Write changed unit settings in one request
+    const setpointValues = {};
+    for (const key of changedKeys) {
+      const register = this._settingRegisters.get(key);
+      if (!register) continue;
+      const value = newSettings[key];
+      setpointValues[register.name] = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+    }
+    if (Object.keys(setpointValues).length > 0) {
+      await this._writeSetpoints(setpointValues);
+    }
+
+    if (changedKeys.includes('filter_interval') || changedKeys.includes('filter_warning_days')) {
+      this._filter.configure({
+        intervalDays: newSettings.filter_interval,
+        warningDays: newSettings.filter_warning_days
+      });
+    }
+    if (changedKeys.includes('packet_capture')) {
+      this._setCapture(newSettings.packet_capture === true);
+    }
+    if (changedKeys.includes('verify_writes') && this.genvex) {
+      this.genvex.verifyWrites = newSettings.verify_writes === true;
+    }
+    if (changedKeys.some(key => key.startsWith('airflow_level')) && this.genvex) {
+      this.genvex.airflow = AIRFLOW(newSettings);
+    }
+    if (changedKeys.some(key => key.startsWith('power_') || key === 'reheat_power') && this.genvex) {
+      this.genvex.power = POWER(newSettings);
+    }
+
+    // Reconnect if connection-related settings changed
+    if (changedKeys.includes('ip_address') ||
+        changedKeys.includes('email') ||
+        changedKeys.includes('poll_interval') ||
+        changedKeys.includes('poll_interval_fast') ||
+        changedKeys.includes('poll_interval_slow')) {
+      this.log('Settings changed, reconnecting...');
+      this._restartConnection();
+    }
+  }
+
+  _restartConnection() {
+    if (this.genvex) {
+      this.genvex.disconnect();
+      this.genvex = null;
+    }
+    // Slight delay to let old connection clean up
+    setTimeout(() => this._connect(), 1000);
+  }
+
+  async onDeleted() {
+    this.log('Device deleted, cleaning up');
+    this._destroy();
+  }
+
+  async onUninit() {
+    this._destroy();
+  }
+
+  _destroy() {
+    this._destroyed = true;
+    this._clearReconnect();
+    this._boost.destroy();
+    this._schedule.destroy();
+    this._humidity.removeAllListeners();
+    if (this.genvex) {
+      this.genvex.disconnect();
+      this.genvex = null;
+    }
+  }
+}
+
+module.exports = GenvexHomeyDevice;
@@ -0,0 +1,209 @@
+'use strict';
+const Homey = require('homey');
+const { NabtoClient, NabtoDiscovery, NabtoConnection } = require('../nabto');
+const { resolveModel, getModelById, getModels } = require('../genvex/ModelRegistry');
+const { ErrorCode } = require('../genvex/GenvexErrors');
+
+/**
+ * Homey driver for Genvex units: pairing and repair.
+ *
+ * The `genvex` driver pairs every model: the ModelRegistry identifies the
+ * unit, and the user only picks the model when the unit isn't recognised.
+ * The older per-model drivers no longer pair; their repair still turns
+ * away a unit that turns out to be another model.
+ */
+class GenvexHomeyDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log(`${this.id} driver initialized`);
+  }
+
+  async onPair(session) {
+    // Models to choose from when the unit isn't recognised
+    session.setHandler('models', async () => {
+      return getModels().map(({ id, name }) => ({ id, name }));
+    });
+
+    // Step 1: Broadcast for units on the LAN and let the user pick one
+    session.setHandler('discover', async (data) => {
+      if (!data.email) {
+        throw new Error(this.homey.__('errors.email_required'));
+      }
+
+      const client = new NabtoClient();
+      const devices = await client.scan({ email: data.email });
+      this._discoveredDevices = devices.map(dev => {
+        const detected = resolveModel(dev.modelInfo);
+        return {
+          deviceId: dev.deviceId,
+          ip: dev.ip,
+          model: dev.modelInfo ? `${dev.modelInfo.deviceNumber}/${dev.modelInfo.deviceModel}` : null,
+          modelId: detected ? detected.id : null,
+          modelName: detected ? detected.name : null
+        };
+      });
+      return this._discoveredDevices;
+    });
+
+    session.setHandler('select', async (data) => {
+      if (!data.ip || !data.email) {
+        throw new Error(this.homey.__('errors.details_required'));
+      }
+
+      const dev = (this._discoveredDevices || [])
+        .find(d => d.deviceId === data.deviceId && d.ip === data.ip);
+
+      this._pairingDevice = {
+        ipAddress: data.ip,
+        email: data.email,
+        deviceId: data.deviceId || 'unknown',
+        model: dev ? dev.model || '' : '',
+        modelId: this._pairingModelId(dev ? dev.modelId : null, data.modelId)
+      };
+      return true;
+    });
+
+    // Step 1 (fallback): User enters IP + email via custom pair view
+    session.setHandler('validate', async (data) => {
+      const ipAddress = data.ip;
+      const email = data.email;
+
+      if (!ipAddress || !email) {
+        throw new Error(this.homey.__('errors.details_required'));
+      }
+
+      // Validate by attempting discovery + connect
+      const discovery = new NabtoDiscovery({ timeout: 8000, retries: 3 });
+      const discovered = await discovery.discoverByIp(ipAddress);
+
+      let deviceId = 'unknown';
+      if (discovered) {
+        deviceId = discovered.deviceId;
+      }
+
+      // Test actual connection
+      const conn = new NabtoConnection({
+        ip: ipAddress,
+        email: email,
+        deviceId: deviceId,
+        connectRetries: 3,
+        connectRetryInterval: 2000
+      });
+
+      let modelInfo = null;
+      try {
+        await conn.connect();
+        // Wait briefly for ping/model info
+        modelInfo = await conn.waitForModel(1500);
+        conn.disconnect();
+      } catch (err) {
+        throw new Error(this._connectionFailedMessage(err));
+      }
+
+      const detected = resolveModel(modelInfo);
+
+      // Store for list_devices step
+      this._pairingDevice = {
+        ipAddress,
+        email,
+        deviceId,
+        model: modelInfo ? `${modelInfo.deviceNumber}/${modelInfo.deviceModel}` : '',
+        modelId: this._pairingModelId(detected ? detected.id : null, data.modelId)
+      };
+      return true;
+    });
+
+    // Step 2: Return device for list_devices template
+    session.setHandler('list_devices', async () => {
+      const dev = this._pairingDevice;
+      return [{
+        name: `Genvex ${dev.deviceId !== 'unknown' ? dev.deviceId : dev.ipAddress}`,
+        data: {
+          id: dev.deviceId !== 'unknown' ? dev.deviceId : `genvex-${dev.ipAddress}`
+        },
+        store: {
+          ip: dev.ipAddress,
+          email: dev.email,
+          deviceId: dev.deviceId,
+          modelId: dev.modelId
+        },
+        settings: {
+          ip_address: dev.ipAddress,
+          email: dev.email,
+          poll_interval: 30,
+          device_id: dev.deviceId,
+          device_model: dev.model
+        }
+      }];
+    });
+  }
+
+  async onRepair(session, device) {
+    session.setHandler('get_settings', async () => {
+      const settings = device.getSettings();
+      return { ip: settings.ip_address, email: settings.email };
+    });
+
+    // Re-probe the unit and keep the new details; a unit that turns out to
+    // be another model switches to it, or is turned away on a model's driver
+    session.setHandler('check', async (data) => {
+      if (!data.ip || !data.email) {
+        throw new Error(this.homey.__('errors.details_required'));
+      }
+
+      const client = new NabtoClient();
+      let modelInfo;
+      try {
+        modelInfo = await client.probe({
+          ip: data.ip,
+          email: data.email,
+          deviceId: device.getSetting('device_id') || 'unknown'
+        });
+      } catch (err) {
+        throw new Error(this._connectionFailedMessage(err));
+      }
+
+      const detected = resolveModel(modelInfo);
+      const switchModel = detected && detected.id !== device._modelId;
+      if (switchModel && getModelById(this.id)) {
+        throw new Error(this.homey.__('errors.wrong_model', { model: detected.name }));
+      }
+      if (!detected && !device._modelId) {
+        throw new Error(this.homey.__('errors.model_unknown'));
+      }
+
+      await device.setSettings({
+        ip_address: data.ip,
+        email: data.email,
+        device_model: modelInfo ? `${modelInfo.deviceNumber}/${modelInfo.deviceModel}` : ''
+      });
+      await device.unsetWarning();
+      if (switchModel) {
+        await device._setupModel(detected.id);
+      } else {
+        device._restartConnection();
+      }
+      return { model: detected ? detected.name : null };
+    });
+  }
+
+  _connectionFailedMessage(err) {
+    return err.code === ErrorCode.CONNECTION_TIMEOUT
+      ? this.homey.__('errors.connection_timeout')
+      : this.homey.__('errors.connection_failed', { message: err.message });
+  }
+
+  /**
+   * The model to pair as: the one the unit reports, else the user's choice.
+   * @param {string|null} detectedId - ModelRegistry id of the unit, if recognised
+   * @param {string} [chosenId] - ModelRegistry id picked in the pair view, '' for automatic
+   * @returns {string}
+   */
+  _pairingModelId(detectedId, chosenId) {
+    if (detectedId) return detectedId;
+    if (chosenId && getModelById(chosenId)) return chosenId;
+    throw new Error(this.homey.__('errors.model_unknown'));
+  }
+}
+
+module.exports = GenvexHomeyDriver;
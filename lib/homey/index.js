@@ -0,0 +1,9 @@
+'use strict';
+
+const GenvexHomeyDevice = require('./GenvexHomeyDevice');
+const GenvexHomeyDriver = require('./GenvexHomeyDriver');
+
+module.exports = {
+  GenvexHomeyDevice,
+  GenvexHomeyDriver
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const NabtoPacket = require('./NabtoPacket');
+
+/**
+ * Ring buffer of the UDP datagrams a NabtoConnection sends and receives.
+ *
+ * Each entry holds the raw datagram as hex plus its decoded header, so a
+ * capture can be read by eye and fed back through NabtoReplay. Datagrams the
+ * connection could not use are marked with the reason in `dropped`.
+ *
+ * The account email in a U_CONNECT request is the unit's only credential,
+ * and captures are meant to be attached to bug reports, so it is masked
+ * before recording (NabtoReplay doesn't need it).
+ *
+ * Entry: { time, direction: 'sent'|'received', length, header, hex, dropped? }
+ *   time   - ms timestamp
+ *   header - NabtoPacket.parseHeader fields, or null for short datagrams
+ */
+class NabtoCapture {
+  static VERSION = 1;
+  static DIRECTION_SENT = 'sent';
+  static DIRECTION_RECEIVED = 'received';
+
+  /**
+   * @param {{ maxEntries?: number, meta?: Object }} [options]
+   *   maxEntries - oldest entries are discarded beyond this (default 2000)
+   *   meta       - exported with the entries, e.g. { model, deviceId }
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 2000;
+    this.meta = { ...options.meta };
+    this.entries = [];
+    this.discarded = 0;
+    this.started = Date.now();
+  }
+
+  /**
+   * Record one datagram.
+   * @param {string} direction - NabtoCapture.DIRECTION_SENT or DIRECTION_RECEIVED
+   * @param {Buffer} data
+   * @param {number} [time=Date.now()]
+   * @returns {Object} the entry, so the caller can mark it dropped
+   */
+  record(direction, data, time = Date.now()) {
+    data = NabtoCapture.redact(data);
+    const entry = {
+      time,
+      direction,
+      length: data.length,
+      header: NabtoPacket.parseHeader(data),
+      hex: data.toString('hex')
+    };
+    this.entries.push(entry);
+
+    if (this.entries.length > this.maxEntries) {
+      const excess = this.entries.length - this.maxEntries;
+      this.entries.splice(0, excess);
+      this.discarded += excess;
+    }
+    return entry;
+  }
+
+  /**
+   * Mask the email in a U_CONNECT request's CP_ID payload; other datagrams
+   * are returned as they are.
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  static redact(data) {
+    const hdr = NabtoPacket.parseHeader(data);
+    if (!hdr || hdr.type !== NabtoPacket.TYPE_U_CONNECT || (hdr.flags & NabtoPacket.FLAG_RESPONSE)) {
+      return data;
+    }
+
+    // Walk the payloads after the header: type(1) flags(1) length(2) ...
+    const out = Buffer.from(data);
+    let offset = NabtoPacket.HDR_SIZE;
+    while (offset + 4 <= out.length) {
+      const len = out.readUInt16BE(offset + 2);
+      if (len < 4) break;
+      if (out.readUInt8(offset) === NabtoPacket.PAYLOAD_CP_ID) {
+        // header(4) + idType(1) + email
+        out.fill('*', offset + 5, Math.min(offset + len, out.length));
+      }
+      offset += len;
+    }
+    return out;
+  }
+
+  /**
+   * @returns {Object[]} entries, oldest first
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  clear() {
+    this.entries = [];
+    this.discarded = 0;
+    this.started = Date.now();
+  }
+
+  /**
+   * Export format, also accepted by fromJSON and NabtoReplay.
+   * @returns {{ version: number, created: number, started: number, discarded: number, meta: Object, entries: Object[] }}
+   */
+  toJSON() {
+    return {
+      version: NabtoCapture.VERSION,
+      created: Date.now(),
+      started: this.started,
+      discarded: this.discarded,
+      meta: this.meta,
+      entries: this.getEntries()
+    };
+  }
+
+  /**
+   * Load an exported capture.
+   * @param {Object|string} json - toJSON output, or its JSON text
+   * @returns {NabtoCapture}
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('Not a packet capture: entries missing');
+    }
+    if (data.version !== NabtoCapture.VERSION) {
+      throw new Error(`Unsupported capture version: ${data.version}`);
+    }
+
+    const capture = new NabtoCapture({
+      maxEntries: Math.max(data.entries.length, 1),
+      meta: data.meta
+    });
+    capture.entries = data.entries.map(entry => ({ ...entry }));
+    capture.discarded = data.discarded || 0;
+    capture.started = data.started || (data.entries.length ? data.entries[0].time : Date.now());
+    return capture;
+  }
+}
+
+module.exports = NabtoCapture;
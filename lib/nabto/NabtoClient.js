@@ -22,6 +22,45 @@ class NabtoClient {
     return this.discovery.discover(options.deviceId || '*');
   }
 
+  /**
+   * Find devices on the network and ping each one for its model info.
+   * Devices that refuse the connection are still returned, with modelInfo null.
+   * @param {Object} options - { email, connectRetries?, connectRetryInterval? }
+   * @returns {Promise<Array<{deviceId: string, ip: string, port: number, modelInfo: Object|null}>>}
+   */
+  async scan(options) {
+    const devices = await this.discovery.discover('*');
+    const results = [];
+
+    // One at a time: the units only serve a single local session reliably
+    for (const device of devices) {
+      const modelInfo = await this.probe({ ...options, deviceId: device.deviceId, ip: device.ip })
+        .catch(() => null);
+      results.push({ ...device, modelInfo });
+    }
+    return results;
+  }
+
+  /**
+   * Connect briefly to read the device model from the ping response.
+   * @param {Object} options - { deviceId, ip, email, port?, connectRetries?, connectRetryInterval? }
+   * @returns {Promise<Object|null>} modelInfo
+   */
+  async probe(options) {
+    const conn = new NabtoConnection({
+      connectRetries: 3,
+      connectRetryInterval: 1000,
+      ...options
+    });
+
+    try {
+      await conn.connect();
+      return await conn.waitForModel();
+    } finally {
+      conn.disconnect();
+    }
+  }
+
   /**
    * Find device by specific IP.
    * @param {string} ip
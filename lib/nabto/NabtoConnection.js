@@ -3,9 +3,21 @@
 const crypto = require('crypto');
 const dgram = require('dgram');
 const { EventEmitter } = require('events');
+const NabtoCapture = require('./NabtoCapture');
+const {
+  ConnectionTimeoutError,
+  NotConnectedError,
+  RequestTimeoutError,
+  DeviceRejectedError
+} = require('./NabtoErrors');
 const NabtoPacket = require('./NabtoPacket');
+const NabtoRequestScheduler = require('./NabtoRequestScheduler');
 
 class NabtoConnection extends EventEmitter {
+  static PRIORITY_HIGH = NabtoRequestScheduler.PRIORITY_HIGH;
+  static PRIORITY_NORMAL = NabtoRequestScheduler.PRIORITY_NORMAL;
+  static PRIORITY_LOW = NabtoRequestScheduler.PRIORITY_LOW;
+
   constructor(options) {
     super();
 
@@ -16,6 +28,8 @@ class NabtoConnection extends EventEmitter {
     this.ip = options.ip;
     this.port = options.port || 5570;
     this.email = options.email;
+    // NabtoCapture recording every datagram, or null
+    this.capture = options.capture || null;
 
     this.socket = null;
     this.clientId = crypto.randomBytes(4).readUInt32BE(0);
@@ -27,6 +41,13 @@ class NabtoConnection extends EventEmitter {
     this.connectRetries = options.connectRetries || 5;
     this.connectRetryInterval = options.connectRetryInterval || 2000;
 
+    this.requestTimeout = options.requestTimeout || 5000;
+    this.scheduler = new NabtoRequestScheduler({
+      maxInFlight: options.maxInFlight,
+      retries: options.requestRetries,
+      retryDelay: options.retryDelay
+    });
+
     this.pendingRequests = new Map();
     this.keepAliveTimer = null;
     this.keepAliveSeq = 100; // dedicated range for keep-alive pings
@@ -43,7 +64,7 @@ class NabtoConnection extends EventEmitter {
       });
 
       this.socket.on('message', (msg, rinfo) => {
-        this._handleMessage(msg);
+        this._handleMessage(msg, this._record(NabtoCapture.DIRECTION_RECEIVED, msg));
       });
 
       this.socket.on('close', () => {
@@ -56,7 +77,7 @@ class NabtoConnection extends EventEmitter {
 
         const sendPacket = () => {
           if (this.connected || !this.socket) return;
-          this.socket.send(packet, 0, packet.length, this.port, this.ip);
+          this._send(packet);
         };
         sendPacket();
         const retryTimers = [];
@@ -68,7 +89,7 @@ class NabtoConnection extends EventEmitter {
           if (!this.connected) {
             retryTimers.forEach(t => clearTimeout(t));
             this.disconnect();
-            reject(new Error('Connection timeout'));
+            reject(new ConnectionTimeoutError());
           }
         }, this.connectRetries * this.connectRetryInterval + 2000);
 
@@ -81,23 +102,30 @@ class NabtoConnection extends EventEmitter {
     });
   }
 
-  _handleMessage(data) {
-    if (data.length < 16) return;
-
+  /**
+   * Handle one received datagram.
+   * @param {Buffer} data
+   * @param {Object|null} [entry] - its capture entry, marked when the datagram is dropped
+   */
+  _handleMessage(data, entry = null) {
     const hdr = NabtoPacket.parseHeader(data);
-    if (!hdr) return;
-
+    if (!hdr) {
+      this._drop(`short packet (${data.length} bytes)`, data, entry);
+      return;
+    }
 
     // U_CONNECT response
     if (hdr.type === NabtoPacket.TYPE_U_CONNECT && (hdr.flags & NabtoPacket.FLAG_RESPONSE)) {
       const resp = NabtoPacket.parseConnectResponse(data);
-      if (resp) {
-        this.serverId = resp.serverId;
-        this.connected = true;
-        this._startKeepAlive();
-        this.emit('connected');
-        this._sendPing().catch(() => {});
+      if (!resp) {
+        this._drop('connect refused or malformed', data, entry);
+        return;
       }
+      this.serverId = resp.serverId;
+      this.connected = true;
+      this._startKeepAlive();
+      this.emit('connected');
+      this._sendPing().catch(() => {});
       return;
     }
 
@@ -105,13 +133,14 @@ class NabtoConnection extends EventEmitter {
     if (hdr.type === NabtoPacket.TYPE_DATA) {
       const parsed = NabtoPacket.parseDataResponse(data);
       if (!parsed) {
+        this._drop('no command data', data, entry);
         return;
       }
 
 
       // Ping response (seqId 50 or keep-alive ping range 100-199)
       if (parsed.seqId === 50 || (parsed.seqId >= 100 && parsed.seqId < 200)) {
-        if (parsed.seqId === 50) {
+        if (parsed.seqId === 50 && !parsed.exception) {
           const pingResult = NabtoPacket.parsePingResponse(parsed.commandData);
           if (pingResult) {
             this.modelInfo = pingResult;
@@ -127,8 +156,14 @@ class NabtoConnection extends EventEmitter {
       if (pending) {
         clearTimeout(pending.timeout);
         this.pendingRequests.delete(parsed.seqId);
-        pending.resolve(parsed.commandData);
+        if (parsed.exception) {
+          pending.reject(NabtoConnection._rejection(parsed));
+        } else {
+          pending.resolve(parsed.commandData);
+        }
       } else {
+        // Late reply to a timed-out attempt, or a stray packet
+        this._drop(`no pending request for seq ${parsed.seqId}`, data, entry);
       }
 
       this.emit('data', parsed);
@@ -139,6 +174,42 @@ class NabtoConnection extends EventEmitter {
     if (hdr.type === NabtoPacket.TYPE_U_ALIVE) {
       return;
     }
+
+    this._drop(`unexpected packet type 0x${hdr.type.toString(16)}`, data, entry);
+  }
+
+  /**
+   * Report a received datagram that was not used.
+   * @private
+   */
+  _drop(reason, data, entry) {
+    if (entry) entry.dropped = reason;
+    this.emit('unhandled', { reason, data });
+  }
+
+  _record(direction, data) {
+    return this.capture ? this.capture.record(direction, data) : null;
+  }
+
+  /**
+   * Wait for the model info reported by the ping sent after connecting.
+   * @param {number} [timeout=3000]
+   * @returns {Promise<Object|null>} modelInfo, or null if the device did not answer in time
+   */
+  async waitForModel(timeout = 3000) {
+    if (this.modelInfo) return this.modelInfo;
+
+    return new Promise((resolve) => {
+      const onModel = (modelInfo) => {
+        clearTimeout(timer);
+        resolve(modelInfo);
+      };
+      const timer = setTimeout(() => {
+        this.removeListener('model', onModel);
+        resolve(null);
+      }, timeout);
+      this.once('model', onModel);
+    });
   }
 
   async _sendPing() {
@@ -167,95 +238,144 @@ class NabtoConnection extends EventEmitter {
 
   _send(packet) {
     if (!this.socket) return;
+    this._record(NabtoCapture.DIRECTION_SENT, packet);
     this.socket.send(packet, 0, packet.length, this.port, this.ip);
   }
 
   _nextSeqId() {
+    // Wrap within the 16-bit header field, above the ping/keep-alive ranges
+    if (this.seqId > 0xFFFF) this.seqId = 300;
     return this.seqId++;
   }
 
-  async readDatapoints(keys, datapoints) {
-    if (!this.connected) throw new Error('Not connected');
-
-    const seqId = this._nextSeqId();
-    const packet = NabtoPacket.buildDatapointReadPacket(this.clientId, this.serverId, seqId, datapoints);
-
-
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        this.pendingRequests.delete(seqId);
-        reject(new Error(`Read timeout for datapoints (seq ${seqId})`));
-      }, 5000);
-
-      this.pendingRequests.set(seqId, {
-        resolve: (cmdData) => {
-          const values = NabtoPacket.parseDatapointResponse(cmdData);
-          const result = new Map();
-          for (let i = 0; i < Math.min(keys.length, values.length); i++) {
-            result.set(keys[i], values[i]);
-          }
-          resolve(result);
-        },
-        reject,
-        timeout
-      });
-
-      this._send(packet);
-    });
+  /**
+   * Queue a request through the scheduler.
+   * @param {string} label - used in the timeout error message
+   * @param {function(number): Buffer} buildPacket - builds the packet for a sequence ID
+   * @param {function(Buffer): *} parseResponse - turns command data into the result
+   * @param {{ priority?: number, retries?: number, retryTimeouts?: boolean, signal?: AbortSignal }} options
+   * @returns {Promise}
+   */
+  _request(label, buildPacket, parseResponse, options) {
+    if (!this.connected) return Promise.reject(new NotConnectedError());
+
+    return this.scheduler.enqueue(
+      (signal) => this._sendRequest(label, buildPacket, parseResponse, signal),
+      options
+    );
   }
 
-  async readSetpoints(keys, setpoints) {
-    if (!this.connected) throw new Error('Not connected');
+  /**
+   * Send one attempt of a request and wait for the response with its seqId.
+   * Every attempt gets a fresh seqId so a late reply to an earlier attempt is ignored.
+   * @private
+   */
+  _sendRequest(label, buildPacket, parseResponse, signal) {
+    if (!this.connected) return Promise.reject(new NotConnectedError());
 
     const seqId = this._nextSeqId();
-    const packet = NabtoPacket.buildSetpointReadPacket(this.clientId, this.serverId, seqId, setpoints);
-
+    const packet = buildPacket(seqId);
 
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeout);
+        this.pendingRequests.delete(seqId);
+        reject(signal.reason);
+      };
+
       const timeout = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
         this.pendingRequests.delete(seqId);
-        reject(new Error(`Read timeout for setpoints (seq ${seqId})`));
-      }, 5000);
+        reject(new RequestTimeoutError(`${label} (seq ${seqId})`, { seqId }));
+      }, this.requestTimeout);
 
       this.pendingRequests.set(seqId, {
         resolve: (cmdData) => {
-          const values = NabtoPacket.parseSetpointResponse(cmdData);
-          const result = new Map();
-          for (let i = 0; i < Math.min(keys.length, values.length); i++) {
-            result.set(keys[i], values[i]);
-          }
-          resolve(result);
+          signal.removeEventListener('abort', onAbort);
+          resolve(parseResponse(cmdData));
+        },
+        reject: (err) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(err);
         },
-        reject,
         timeout
       });
 
+      signal.addEventListener('abort', onAbort, { once: true });
       this._send(packet);
     });
   }
 
-  async writeSetpoints(setpoints) {
-    if (!this.connected) throw new Error('Not connected');
-
-    const seqId = this._nextSeqId();
-    const packet = NabtoPacket.buildSetpointWritePacket(this.clientId, this.serverId, seqId, setpoints);
+  /**
+   * Read datapoints. Queued at normal priority unless options.priority says otherwise.
+   * @param {string[]} keys - result keys, in request order
+   * @param {{ obj: number, address: number }[]} datapoints
+   * @param {{ priority?: number, retries?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<Map<string, number>>}
+   */
+  async readDatapoints(keys, datapoints, options = {}) {
+    return this._request(
+      'Read timeout for datapoints',
+      (seqId) => NabtoPacket.buildDatapointReadPacket(this.clientId, this.serverId, seqId, datapoints),
+      (cmdData) => NabtoConnection._mapValues(keys, NabtoPacket.parseDatapointResponse(cmdData)),
+      options
+    );
+  }
 
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        this.pendingRequests.delete(seqId);
-        reject(new Error(`Write timeout for setpoints (seq ${seqId})`));
-      }, 5000);
+  /**
+   * Read setpoints. Queued at normal priority unless options.priority says otherwise.
+   * @param {string[]} keys - result keys, in request order
+   * @param {{ obj: number, address: number }[]} setpoints
+   * @param {{ priority?: number, retries?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<Map<string, number>>}
+   */
+  async readSetpoints(keys, setpoints, options = {}) {
+    return this._request(
+      'Read timeout for setpoints',
+      (seqId) => NabtoPacket.buildSetpointReadPacket(this.clientId, this.serverId, seqId, setpoints),
+      (cmdData) => NabtoConnection._mapValues(keys, NabtoPacket.parseSetpointResponse(cmdData)),
+      options
+    );
+  }
 
-      this.pendingRequests.set(seqId, {
-        resolve: () => resolve(),
-        reject,
-        timeout
-      });
+  /**
+   * Write setpoints. Queued at high priority so writes go ahead of polls.
+   * A write that times out is not resent: the unit may have applied it.
+   * @param {{ id: number, value: number, param: number }[]} setpoints
+   * @param {{ priority?: number, retries?: number, signal?: AbortSignal }} [options]
+   * @returns {Promise<void>}
+   */
+  async writeSetpoints(setpoints, options = {}) {
+    return this._request(
+      'Write timeout for setpoints',
+      (seqId) => NabtoPacket.buildSetpointWritePacket(this.clientId, this.serverId, seqId, setpoints),
+      () => undefined,
+      { priority: NabtoConnection.PRIORITY_HIGH, retryTimeouts: false, ...options }
+    );
+  }
 
-      this._send(packet);
+  /**
+   * Turn an exception response into the error its request rejects with.
+   * @param {{ seqId: number, commandData: Buffer }} parsed - from NabtoPacket.parseDataResponse
+   * @returns {DeviceRejectedError}
+   */
+  static _rejection(parsed) {
+    const { code, reason } = NabtoPacket.parseExceptionResponse(parsed.commandData);
+    const detail = code === null ? `seq ${parsed.seqId}` : `code ${code}, seq ${parsed.seqId}`;
+    return new DeviceRejectedError(`Device rejected the request: ${reason} (${detail})`, {
+      deviceCode: code,
+      seqId: parsed.seqId
     });
   }
 
+  static _mapValues(keys, values) {
+    const result = new Map();
+    for (let i = 0; i < Math.min(keys.length, values.length); i++) {
+      result.set(keys[i], values[i]);
+    }
+    return result;
+  }
+
   disconnect() {
     this.connected = false;
     this._stopKeepAlive();
@@ -265,6 +385,7 @@ class NabtoConnection extends EventEmitter {
       } catch (e) {}
       this.socket = null;
     }
+    this.scheduler.cancelAll(new NotConnectedError('Disconnected'));
     for (const [, pending] of this.pendingRequests) {
       clearTimeout(pending.timeout);
     }
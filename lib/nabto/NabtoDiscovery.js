@@ -41,7 +41,8 @@ class NabtoDiscovery extends EventEmitter {
 
       this.socket.on('message', (msg, rinfo) => {
         const parsed = NabtoPacket.parseDiscoveryResponse(msg);
-        if (parsed) {
+        // Devices answer every retry; report each unit once
+        if (parsed && !devices.some(d => d.deviceId === parsed.deviceId && d.ip === rinfo.address)) {
           const device = {
             deviceId: parsed.deviceId,
             ip: rinfo.address,
@@ -59,6 +60,7 @@ class NabtoDiscovery extends EventEmitter {
 
         // Send initial packet + retries
         const sendPacket = () => {
+          if (!this.socket) return;
           this.socket.send(packet, 0, packet.length, this.port, targetAddress);
         };
         sendPacket();
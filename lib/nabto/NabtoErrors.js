@@ -0,0 +1,138 @@
+'use strict';
+
+const NabtoPacket = require('./NabtoPacket');
+
+/**
+ * Errors of the Nabto layer.
+ *
+ * Each has a machine-readable `code` (a NabtoErrorCode) and `retryable`,
+ * which tells NabtoRequestScheduler whether resending the request may help.
+ * Callers decide what to do from the code rather than the message:
+ *   - REQUEST_TIMEOUT     already retried by the scheduler; repeated, the connection is likely lost
+ *   - NOT_CONNECTED       reconnect
+ *   - CONNECTION_TIMEOUT  the unit didn't answer the connect request; try again later
+ *   - DEVICE_REJECTED     the unit refused this request; resending or reconnecting won't help
+ *   - RESPONSE_MISMATCH   the unit answered, but not with what was asked for
+ *   - REQUEST_CANCELLED   the caller aborted the request; nothing to handle
+ */
+const NabtoErrorCode = {
+  CONNECTION_TIMEOUT: 'CONNECTION_TIMEOUT',
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+  DEVICE_REJECTED: 'DEVICE_REJECTED',
+  RESPONSE_MISMATCH: 'RESPONSE_MISMATCH',
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED'
+};
+
+class NabtoError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - NabtoErrorCode
+   * @param {{ retryable?: boolean }} [options]
+   */
+  constructor(message, code, { retryable = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The unit didn't answer the U_CONNECT request, retries included.
+ */
+class ConnectionTimeoutError extends NabtoError {
+  constructor(message = 'Connection timeout') {
+    super(message, NabtoErrorCode.CONNECTION_TIMEOUT);
+  }
+}
+
+/**
+ * A request was made without a connection, or the connection closed while
+ * the request was queued or in flight.
+ */
+class NotConnectedError extends NabtoError {
+  constructor(message = 'Not connected') {
+    super(message, NabtoErrorCode.NOT_CONNECTED);
+  }
+}
+
+/**
+ * No response to a request within the connection's requestTimeout.
+ */
+class RequestTimeoutError extends NabtoError {
+  /**
+   * @param {string} message
+   * @param {{ seqId?: number }} [details]
+   */
+  constructor(message, { seqId } = {}) {
+    super(message, NabtoErrorCode.REQUEST_TIMEOUT, { retryable: true });
+    this.seqId = seqId;
+  }
+}
+
+/**
+ * The unit answered a request with an exception response (FLAG_EXCEPTION)
+ * instead of data: a bad address, a denied write, an unknown command.
+ *
+ * Exceptions the unit may recover from by itself (not ready, out of
+ * resources) are retryable; the scheduler resends those.
+ */
+class DeviceRejectedError extends NabtoError {
+  /**
+   * @param {string} message
+   * @param {{ deviceCode?: number|null, seqId?: number }} [details]
+   *   deviceCode - exception code from the unit, see NabtoPacket.EXCEPTIONS
+   */
+  constructor(message, { deviceCode = null, seqId } = {}) {
+    super(message, NabtoErrorCode.DEVICE_REJECTED, {
+      retryable: deviceCode === NabtoPacket.EXCEPTION_NOT_READY ||
+        deviceCode === NabtoPacket.EXCEPTION_OUT_OF_RESOURCES
+    });
+    this.deviceCode = deviceCode;
+    this.reason = NabtoPacket.describeException(deviceCode);
+    this.seqId = seqId;
+  }
+}
+
+/**
+ * The unit answered, but the response doesn't fit the request: fewer values
+ * than registers asked for, or a written value that doesn't read back.
+ */
+class ResponseMismatchError extends NabtoError {
+  /**
+   * @param {string} message
+   * @param {{ expected?: *, received?: * }} [details]
+   */
+  constructor(message, { expected, received } = {}) {
+    super(message, NabtoErrorCode.RESPONSE_MISMATCH);
+    this.expected = expected;
+    this.received = received;
+  }
+}
+
+/**
+ * A request was cancelled through its AbortSignal. Aborts with a NabtoError
+ * as the reason (a disconnect) reject with that error instead.
+ */
+class RequestCancelledError extends NabtoError {
+  /**
+   * @param {string} [message]
+   * @param {{ cause?: * }} [details] - cause is the abort reason
+   */
+  constructor(message = 'Request cancelled', { cause } = {}) {
+    super(message, NabtoErrorCode.REQUEST_CANCELLED);
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+module.exports = {
+  NabtoErrorCode,
+  NabtoError,
+  ConnectionTimeoutError,
+  NotConnectedError,
+  RequestTimeoutError,
+  DeviceRejectedError,
+  ResponseMismatchError,
+  RequestCancelledError
+};
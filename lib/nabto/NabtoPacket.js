@@ -48,6 +48,30 @@ class NabtoPacket {
   // -- Crypto code for cleartext -------------------------------------------
   static CRYPTO_CLEARTEXT = 0x000A;
 
+  // -- Exception codes (command data of a FLAG_EXCEPTION response) ---------
+  // uNabto's application_event_result values
+  static EXCEPTION_NOT_READY = 1;
+  static EXCEPTION_NO_ACCESS = 2;
+  static EXCEPTION_TOO_SMALL = 3;
+  static EXCEPTION_TOO_LARGE = 4;
+  static EXCEPTION_INVALID_QUERY = 5;
+  static EXCEPTION_RESPONSE_TOO_LARGE = 6;
+  static EXCEPTION_OUT_OF_RESOURCES = 7;
+  static EXCEPTION_SYSTEM_ERROR = 8;
+  static EXCEPTION_NO_QUERY_ID = 9;
+
+  static EXCEPTIONS = {
+    1: 'not ready',
+    2: 'no access',
+    3: 'request too small',
+    4: 'request too large',
+    5: 'invalid query',
+    6: 'response too large',
+    7: 'out of resources',
+    8: 'system error',
+    9: 'unknown command'
+  };
+
   // ========================================================================
   //  Discovery packets (legacy header format)
   // ========================================================================
@@ -420,7 +444,7 @@ class NabtoPacket {
    * Parse a DATA response. Extracts the CRYPT payload command data.
    * Matching Python's message[22:20+length] extraction.
    * @param {Buffer} data
-   * @returns {{ seqId: number, commandData: Buffer } | null}
+   * @returns {{ seqId: number, commandData: Buffer, exception: boolean } | null}
    */
   static parseDataResponse(data) {
     const hdr = NabtoPacket.parseHeader(data);
@@ -449,7 +473,27 @@ class NabtoPacket {
     if (cmdStart >= data.length || cmdEnd <= cmdStart) return null;
 
     const commandData = data.slice(cmdStart, cmdEnd);
-    return { seqId: hdr.seqId, commandData };
+    return { seqId: hdr.seqId, commandData, exception: Boolean(hdr.flags & NabtoPacket.FLAG_EXCEPTION) };
+  }
+
+  /**
+   * Parse the command data of an exception response (see parseDataResponse).
+   * The unit sends a 4-byte exception code instead of the command's response.
+   * @param {Buffer} payload
+   * @returns {{ code: number|null, reason: string }}
+   */
+  static parseExceptionResponse(payload) {
+    const code = payload && payload.length >= 4 ? payload.readUInt32BE(0) : null;
+    return { code, reason: NabtoPacket.describeException(code) };
+  }
+
+  /**
+   * @param {number|null} code - exception code
+   * @returns {string} e.g. 'no access'
+   */
+  static describeException(code) {
+    if (code === null || code === undefined) return 'unknown exception';
+    return NabtoPacket.EXCEPTIONS[code] || `exception ${code}`;
   }
 
   /**
@@ -0,0 +1,203 @@
+'use strict';
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const NabtoCapture = require('./NabtoCapture');
+const NabtoPacket = require('./NabtoPacket');
+
+/**
+ * Plays a unit back from a NabtoCapture.
+ *
+ * Listens like NabtoSimulator, but answers each request with the response
+ * the unit gave to the same request in the capture, so a NabtoConnection or
+ * GenvexDevice pointed at it goes through the captured session:
+ *   - requests are matched on packet type and everything after the header,
+ *     so the live client and sequence IDs don't matter
+ *   - repeated requests (polls) get the captured responses in order; once
+ *     those run out the last one is repeated
+ *   - a request the unit never answered is not answered here either
+ *   - received datagrams the capture can't pair with a request (stray or
+ *     late packets) are sent right after the response that preceded them
+ *
+ * Responses get the live client and sequence IDs. Their checksum is
+ * recomputed only if it was valid in the capture, so corrupt packets stay
+ * corrupt.
+ */
+class NabtoReplay extends EventEmitter {
+  /**
+   * @param {NabtoCapture|Object|string} capture - a capture, or its exported JSON
+   * @param {{ address?: string, port?: number, timing?: boolean }} [options]
+   *   timing - wait as long as the unit took to respond in the capture
+   */
+  constructor(capture, options = {}) {
+    super();
+    this.capture = capture instanceof NabtoCapture ? capture : NabtoCapture.fromJSON(capture);
+    this.address = options.address || '127.0.0.1';
+    this.port = options.port || 0;
+    this.timing = options.timing || false;
+
+    this.exchanges = NabtoReplay.buildExchanges(this.capture.getEntries());
+    this.positions = new Map(); // request key -> next exchange index
+    this.socket = null;
+  }
+
+  /**
+   * Pair the captured requests with their responses.
+   * @param {Object[]} entries - NabtoCapture entries
+   * @returns {Map<string, { response: Buffer|null, extras: Buffer[], delay: number }[]>} by request key
+   */
+  static buildExchanges(entries) {
+    const exchanges = new Map();
+    const open = []; // sent requests still waiting for a response
+    let last = null;
+
+    for (const entry of entries) {
+      const data = Buffer.from(entry.hex, 'hex');
+
+      if (entry.direction === NabtoCapture.DIRECTION_SENT) {
+        const key = NabtoReplay.requestKey(data);
+        if (!key) continue;
+
+        last = {
+          type: entry.header.type,
+          seqId: entry.header.seqId,
+          time: entry.time,
+          response: null,
+          extras: [],
+          delay: 0
+        };
+        if (!exchanges.has(key)) exchanges.set(key, []);
+        exchanges.get(key).push(last);
+        open.push(last);
+        continue;
+      }
+
+      const hdr = entry.header;
+      const index = hdr && (hdr.flags & NabtoPacket.FLAG_RESPONSE)
+        ? open.findIndex(ex => ex.type === hdr.type && ex.seqId === hdr.seqId)
+        : -1;
+      if (index !== -1) {
+        const exchange = open[index];
+        open.splice(index, 1);
+        exchange.response = data;
+        exchange.delay = Math.max(0, entry.time - exchange.time);
+      } else if (last) {
+        last.extras.push(data);
+      }
+    }
+    return exchanges;
+  }
+
+  /**
+   * Key a request on what stays the same between sessions: the packet type
+   * and the body after the header (without the DATA checksum, which covers the header).
+   * @param {Buffer} data
+   * @returns {string|null}
+   */
+  static requestKey(data) {
+    const hdr = NabtoPacket.parseHeader(data);
+    if (!hdr) return null;
+
+    // The email in a connect request is the user's, not the unit's
+    if (hdr.type === NabtoPacket.TYPE_U_CONNECT) return 'connect';
+
+    const end = hdr.type === NabtoPacket.TYPE_DATA ? data.length - 2 : data.length;
+    return `${hdr.type}:${data.slice(NabtoPacket.HDR_SIZE, end).toString('hex')}`;
+  }
+
+  /**
+   * Bind the UDP socket.
+   * @returns {Promise<{ address: string, port: number }>}
+   */
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.socket = dgram.createSocket('udp4');
+
+      this.socket.once('error', reject);
+
+      this.socket.on('message', (msg, rinfo) => {
+        this._handleMessage(msg, rinfo);
+      });
+
+      this.socket.bind(this.port, this.address, () => {
+        this.socket.removeListener('error', reject);
+        this.socket.on('error', (err) => this.emit('error', err));
+        this.port = this.socket.address().port;
+        this.emit('listening', { address: this.address, port: this.port });
+        resolve({ address: this.address, port: this.port });
+      });
+    });
+  }
+
+  /**
+   * Close the UDP socket.
+   */
+  async stop() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    await new Promise(resolve => socket.close(resolve));
+  }
+
+  _handleMessage(msg, rinfo) {
+    const hdr = NabtoPacket.parseHeader(msg);
+    const key = NabtoReplay.requestKey(msg);
+    if (!hdr || !this.exchanges.has(key)) {
+      this.emit('miss', { key, seqId: hdr ? hdr.seqId : null });
+      return;
+    }
+
+    const exchange = this._nextExchange(key);
+    this.emit('request', { key, seqId: hdr.seqId, answered: Boolean(exchange.response) });
+    if (!exchange.response) return;
+
+    const send = () => {
+      if (!this.socket) return;
+      for (const packet of [this._rewrite(exchange.response, hdr, true), ...exchange.extras.map(p => this._rewrite(p, hdr, false))]) {
+        this.socket.send(packet, 0, packet.length, rinfo.port, rinfo.address);
+      }
+    };
+
+    if (this.timing && exchange.delay) {
+      setTimeout(send, exchange.delay);
+    } else {
+      send();
+    }
+  }
+
+  _nextExchange(key) {
+    const list = this.exchanges.get(key);
+    const index = this.positions.get(key) || 0;
+    if (index < list.length) {
+      this.positions.set(key, index + 1);
+      return list[index];
+    }
+    // Captured responses used up: keep answering like the last time the unit did
+    return list.slice().reverse().find(ex => ex.response) || list[list.length - 1];
+  }
+
+  /**
+   * Address a captured datagram to the live client.
+   * @param {Buffer} packet
+   * @param {Object} request - header of the live request
+   * @param {boolean} isResponse - also take over the request's seqId
+   * @private
+   */
+  _rewrite(packet, request, isResponse) {
+    if (packet.length < NabtoPacket.HDR_SIZE) return packet;
+
+    const out = Buffer.from(packet);
+    out.writeUInt32BE(request.clientId, 0);
+    if (isResponse) out.writeUInt16BE(request.seqId, 12);
+
+    if (out.readUInt8(8) === NabtoPacket.TYPE_DATA && packet.length >= NabtoPacket.HDR_SIZE + 2) {
+      const end = packet.length - 2;
+      if (NabtoPacket.computeChecksum(packet.slice(0, end)).equals(packet.slice(end))) {
+        NabtoPacket.computeChecksum(out.slice(0, end)).copy(out, end);
+      }
+    }
+    return out;
+  }
+}
+
+module.exports = NabtoReplay;
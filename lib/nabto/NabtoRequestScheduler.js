@@ -0,0 +1,163 @@
+'use strict';
+
+const { NabtoErrorCode, NabtoError, RequestCancelledError } = require('./NabtoErrors');
+
+/**
+ * Request scheduler for a NabtoConnection.
+ *
+ * The unit's Nabto stack is known to drop requests that overlap, so requests
+ * are queued and only `maxInFlight` are sent at a time (default 1).
+ * Queued requests run in priority order (FIFO within a priority), so a write
+ * from a flow card goes ahead of any poll that hasn't been sent yet.
+ *
+ * A request that fails with a retryable error (see NabtoErrors) is retried up to
+ * `retries` times with exponential backoff while it keeps its slot.
+ * A timeout doesn't tell whether the unit got the request, so requests that
+ * must not run twice (writes) are queued with `retryTimeouts: false` and
+ * fail on their first timeout; they are still retried when the unit
+ * answers that it is busy.
+ * Requests can be cancelled with an AbortSignal, whether queued, in flight
+ * or waiting to retry.
+ */
+class NabtoRequestScheduler {
+  static PRIORITY_HIGH = 0;
+  static PRIORITY_NORMAL = 1;
+  static PRIORITY_LOW = 2;
+
+  constructor(options = {}) {
+    this.maxInFlight = options.maxInFlight || 1;
+    this.retries = options.retries !== undefined ? options.retries : 2;
+    this.retryDelay = options.retryDelay || 500;
+
+    this.queue = [];
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Queue a request.
+   * @param {function(AbortSignal, number): Promise} execute - sends one attempt; receives the
+   *   attempt's abort signal and attempt number, rejects with err.retryable = true to be retried
+   * @param {{ priority?: number, retries?: number, retryTimeouts?: boolean, signal?: AbortSignal }} [options]
+   *   retryTimeouts: false fails the request on its first timeout instead of resending it
+   * @returns {Promise} result of the first successful attempt
+   */
+  enqueue(execute, options = {}) {
+    return new Promise((resolve, reject) => {
+      const task = {
+        execute,
+        priority: options.priority !== undefined ? options.priority : NabtoRequestScheduler.PRIORITY_NORMAL,
+        retries: options.retries !== undefined ? options.retries : this.retries,
+        retryTimeouts: options.retryTimeouts !== false,
+        controller: new AbortController(),
+        resolve,
+        reject
+      };
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          reject(NabtoRequestScheduler._cancelError(options.signal.reason));
+          return;
+        }
+        options.signal.addEventListener('abort', () => {
+          this._cancel(task, options.signal.reason);
+        }, { once: true });
+      }
+
+      const index = this.queue.findIndex(t => t.priority > task.priority);
+      if (index === -1) {
+        this.queue.push(task);
+      } else {
+        this.queue.splice(index, 0, task);
+      }
+      this._next();
+    });
+  }
+
+  /**
+   * Number of requests queued or in flight.
+   * @returns {number}
+   */
+  get size() {
+    return this.queue.length + this.inFlight.size;
+  }
+
+  /**
+   * Cancel every queued and in-flight request.
+   * @param {Error} [reason]
+   */
+  cancelAll(reason) {
+    for (const task of [...this.queue, ...this.inFlight]) {
+      this._cancel(task, reason);
+    }
+  }
+
+  _next() {
+    while (this.inFlight.size < this.maxInFlight && this.queue.length > 0) {
+      const task = this.queue.shift();
+      this.inFlight.add(task);
+      this._run(task);
+    }
+  }
+
+  async _run(task) {
+    const signal = task.controller.signal;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await task.execute(signal, attempt);
+        this._finish(task);
+        task.resolve(result);
+        return;
+      } catch (err) {
+        const timedOut = err.code === NabtoErrorCode.REQUEST_TIMEOUT;
+        if (signal.aborted || !err.retryable || (timedOut && !task.retryTimeouts) || attempt >= task.retries) {
+          this._finish(task);
+          task.reject(signal.aborted ? NabtoRequestScheduler._cancelError(signal.reason) : err);
+          return;
+        }
+      }
+
+      // Back off before the next attempt: retryDelay, 2x, 4x, ...
+      await new Promise((resolve) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        // Remove the listener when the wait ends, or every retry would leave one on the signal
+        const timer = setTimeout(() => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, this.retryDelay * Math.pow(2, attempt));
+        signal.addEventListener('abort', onAbort, { once: true });
+      });
+      if (signal.aborted) {
+        this._finish(task);
+        task.reject(NabtoRequestScheduler._cancelError(signal.reason));
+        return;
+      }
+    }
+  }
+
+  _finish(task) {
+    this.inFlight.delete(task);
+    this._next();
+  }
+
+  _cancel(task, reason) {
+    const index = this.queue.indexOf(task);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      task.reject(NabtoRequestScheduler._cancelError(reason));
+      return;
+    }
+    if (this.inFlight.has(task)) {
+      task.controller.abort(reason);
+    }
+  }
+
+  static _cancelError(reason) {
+    return reason instanceof NabtoError ? reason : new RequestCancelledError(undefined, { cause: reason });
+  }
+}
+
+module.exports = NabtoRequestScheduler;
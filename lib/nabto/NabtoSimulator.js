@@ -0,0 +1,441 @@
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const NabtoPacket = require('./NabtoPacket');
+
+/**
+ * In-process Nabto device simulator.
+ *
+ * Answers the same subset of the protocol that NabtoPacket encodes:
+ *   - legacy discovery requests (wildcard or matching device ID)
+ *   - U_CONNECT requests (optionally restricted to one email)
+ *   - DATA requests with CMD_PING, CMD_DATAPOINT_READLIST,
+ *     CMD_SETPOINT_READLIST and CMD_SETPOINT_WRITELIST
+ *
+ * Register values are kept as raw int16/uint16 values keyed by address,
+ * so responses are byte-for-byte what NabtoConnection expects from a unit.
+ *
+ * Faults can be scripted to drive error paths deterministically:
+ *   - drop:  no response at all
+ *   - delay: respond after `delay` ms
+ *   - short: truncate the datagram so the last `values` values are missing
+ *   - count: respond with only `count` values (default: one less than requested)
+ *   - reject: send an exception response with exception code `code`
+ *             (default NabtoPacket.EXCEPTION_NO_ACCESS)
+ */
+class NabtoSimulator extends EventEmitter {
+  static COMMANDS = ['discovery', 'connect', 'ping', 'datapoints', 'setpoints', 'write'];
+
+  constructor(options = {}) {
+    super();
+    this.deviceId = options.deviceId || 'genvex-sim.local';
+    this.address = options.address || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 5570;
+    this.email = options.email || null; // null accepts any email
+    this.serverId = options.serverId || crypto.randomBytes(4).readUInt32BE(0);
+    this.modelInfo = {
+      deviceNumber: 0,
+      deviceModel: 0,
+      slaveDeviceNumber: 0,
+      slaveDeviceModel: 0,
+      ...options.modelInfo
+    };
+
+    this.model = null;
+    this.datapoints = new Map();   // address -> raw int16
+    this.setpoints = new Map();    // readAddress -> raw uint16
+    this.writeAliases = new Map(); // writeAddress -> readAddress
+    this.faults = [];
+    this.socket = null;
+  }
+
+  /**
+   * Create a simulator with its register table seeded from a model object
+   * (e.g. Optima270Model or Optima251Model).
+   * @param {Object} model
+   * @param {Object} [options] - constructor options plus `values` keyed by register name
+   * @returns {NabtoSimulator}
+   */
+  static fromModel(model, options = {}) {
+    const sim = new NabtoSimulator(options);
+    sim.loadModel(model, options.values);
+    return sim;
+  }
+
+  /**
+   * Seed the register table from a model's datapoint and setpoint definitions.
+   * Registers without an entry in `values` start at raw 0.
+   * @param {Object} model
+   * @param {Object<string, number>} [values] - display values keyed by register name
+   */
+  loadModel(model, values = {}) {
+    this.model = model;
+
+    for (const dp of Object.values(model.datapoints)) {
+      this.datapoints.set(dp.address, 0);
+    }
+    for (const sp of Object.values(model.setpoints)) {
+      this.setpoints.set(sp.readAddress, 0);
+      if (sp.writeAddress !== sp.readAddress) {
+        this.writeAliases.set(sp.writeAddress, sp.readAddress);
+      }
+    }
+
+    for (const [name, value] of Object.entries(values)) {
+      this.setValue(name, value);
+    }
+  }
+
+  /**
+   * Set a register by name using the loaded model's conversion.
+   * @param {string} name
+   * @param {number} value - display value
+   */
+  setValue(name, value) {
+    if (!this.model) throw new Error('No model loaded');
+
+    const dp = Object.values(this.model.datapoints).find(d => d.name === name);
+    if (dp) {
+      const raw = Math.round(value * (dp.divider || 1)) - (dp.offset || 0);
+      this.setDatapoint(dp.address, raw);
+      return;
+    }
+
+    const sp = this.model.getSetpointByName(name);
+    if (sp) {
+      this.setSetpoint(sp.readAddress, this.model.toRawSetpointValue(value, sp));
+      return;
+    }
+
+    throw new Error(`Unknown register: ${name}`);
+  }
+
+  /**
+   * Get a register by name as a display value using the loaded model's conversion.
+   * @param {string} name
+   * @returns {number|undefined}
+   */
+  getValue(name) {
+    if (!this.model) throw new Error('No model loaded');
+
+    const dp = Object.values(this.model.datapoints).find(d => d.name === name);
+    if (dp) {
+      return this.model.convertDatapointValue(this.getDatapoint(dp.address), dp);
+    }
+
+    const sp = this.model.getSetpointByName(name);
+    if (sp) {
+      return this.model.convertSetpointValue(this.getSetpoint(sp.readAddress), sp);
+    }
+    return undefined;
+  }
+
+  setDatapoint(address, raw) {
+    this.datapoints.set(address, raw);
+  }
+
+  getDatapoint(address) {
+    return this.datapoints.get(address) || 0;
+  }
+
+  setSetpoint(address, raw) {
+    this.setpoints.set(address, raw);
+  }
+
+  getSetpoint(address) {
+    return this.setpoints.get(address) || 0;
+  }
+
+  /**
+   * Script a fault for the next matching request(s).
+   * @param {{ command: string, type: string, times?: number, delay?: number, count?: number, values?: number, code?: number }} fault
+   *   command - one of NabtoSimulator.COMMANDS or '*' for any
+   *   type    - 'drop' | 'delay' | 'short' | 'count' | 'reject'
+   *   times   - how many requests the fault applies to (default 1, Infinity allowed)
+   * @returns {NabtoSimulator}
+   */
+  addFault(fault) {
+    if (!fault || !fault.type) throw new Error('fault type required');
+    this.faults.push({ command: '*', times: 1, ...fault });
+    return this;
+  }
+
+  clearFaults() {
+    this.faults = [];
+  }
+
+  _takeFault(command) {
+    const index = this.faults.findIndex(f => f.command === '*' || f.command === command);
+    if (index === -1) return null;
+
+    const fault = this.faults[index];
+    fault.times--;
+    if (fault.times <= 0) this.faults.splice(index, 1);
+    return fault;
+  }
+
+  /**
+   * Bind the UDP socket.
+   * @returns {Promise<{ address: string, port: number }>}
+   */
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.socket = dgram.createSocket('udp4');
+
+      this.socket.once('error', reject);
+
+      this.socket.on('message', (msg, rinfo) => {
+        this._handleMessage(msg, rinfo);
+      });
+
+      this.socket.bind(this.port, this.address, () => {
+        this.socket.removeListener('error', reject);
+        this.socket.on('error', (err) => this.emit('error', err));
+        this.port = this.socket.address().port;
+        this.emit('listening', { address: this.address, port: this.port });
+        resolve({ address: this.address, port: this.port });
+      });
+    });
+  }
+
+  /**
+   * Close the UDP socket.
+   */
+  async stop() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    await new Promise(resolve => socket.close(resolve));
+  }
+
+  _handleMessage(msg, rinfo) {
+    // Legacy discovery request: header word 0x00000001 + 8 padding bytes + id + 0x00
+    if (msg.length >= NabtoPacket.LEGACY_HDR_SIZE + 1 &&
+        msg.readUInt32BE(0) === NabtoPacket.LEGACY_TYPE_DISCOVERY) {
+      this._handleDiscovery(msg, rinfo);
+      return;
+    }
+
+    const hdr = NabtoPacket.parseHeader(msg);
+    if (!hdr) return;
+
+    if (hdr.type === NabtoPacket.TYPE_U_CONNECT && !(hdr.flags & NabtoPacket.FLAG_RESPONSE)) {
+      this._handleConnect(msg, hdr, rinfo);
+      return;
+    }
+
+    if (hdr.type === NabtoPacket.TYPE_DATA && !(hdr.flags & NabtoPacket.FLAG_RESPONSE)) {
+      this._handleData(msg, hdr, rinfo);
+    }
+  }
+
+  _handleDiscovery(msg, rinfo) {
+    const idEnd = msg.indexOf(0x00, NabtoPacket.LEGACY_HDR_SIZE);
+    const requestedId = msg.slice(NabtoPacket.LEGACY_HDR_SIZE, idEnd === -1 ? undefined : idEnd).toString('ascii');
+    if (requestedId !== '*' && requestedId !== this.deviceId) return;
+
+    this.emit('request', { command: 'discovery', deviceId: requestedId });
+
+    // Device ID at offset 19, null-terminated (see NabtoPacket.parseDiscoveryResponse)
+    const header = Buffer.alloc(19);
+    header.writeUInt32BE(NabtoPacket.LEGACY_FLAG_RSP | NabtoPacket.LEGACY_TYPE_DISCOVERY, 0);
+    const response = Buffer.concat([header, Buffer.from(this.deviceId, 'ascii'), Buffer.from([0x00])]);
+    this._reply('discovery', response, rinfo);
+  }
+
+  _handleConnect(msg, hdr, rinfo) {
+    const email = this._parseConnectEmail(msg);
+    this.emit('request', { command: 'connect', email });
+
+    // Status 0x00000001 means accepted; anything else is treated as a refusal
+    const accepted = !this.email || this.email === email;
+    const body = Buffer.alloc(12);
+    body.writeUInt32BE(accepted ? 0x00000001 : 0x00000000, 4);
+    body.writeUInt32BE(this.serverId, 8);
+
+    const totalLen = NabtoPacket.HDR_SIZE + body.length;
+    const response = Buffer.concat([
+      NabtoPacket.buildHeader(hdr.clientId, this.serverId, NabtoPacket.TYPE_U_CONNECT,
+        NabtoPacket.FLAG_RESPONSE, hdr.seqId, totalLen),
+      body
+    ]);
+    this._reply('connect', response, rinfo);
+  }
+
+  _parseConnectEmail(msg) {
+    // Walk the payloads after the header looking for CP_ID
+    let offset = NabtoPacket.HDR_SIZE;
+    while (offset + 4 <= msg.length) {
+      const type = msg.readUInt8(offset);
+      const len = msg.readUInt16BE(offset + 2);
+      if (len < 4) break;
+      if (type === NabtoPacket.PAYLOAD_CP_ID) {
+        return msg.slice(offset + 5, offset + len).toString('ascii');
+      }
+      offset += len;
+    }
+    return null;
+  }
+
+  _handleData(msg, hdr, rinfo) {
+    let offset = NabtoPacket.HDR_SIZE;
+    if (hdr.flags & NabtoPacket.FLAG_TAG) offset += 2;
+    if (offset + 6 > msg.length || msg.readUInt8(offset) !== NabtoPacket.PAYLOAD_CRYPT) return;
+
+    // CRYPT length = header(4) + cryptoCode(2) + cmd + terminator(1) + checksum(2)
+    const payloadLen = msg.readUInt16BE(offset + 2);
+    const cmd = msg.slice(offset + 6, offset + payloadLen - 3);
+    if (cmd.length < 4) return;
+
+    switch (cmd.readUInt8(3)) {
+      case NabtoPacket.CMD_PING:
+        this._handlePing(hdr, rinfo);
+        break;
+      case NabtoPacket.CMD_DATAPOINT_READLIST:
+        this._handleDatapointRead(cmd, hdr, rinfo);
+        break;
+      case NabtoPacket.CMD_SETPOINT_READLIST:
+        this._handleSetpointRead(cmd, hdr, rinfo);
+        break;
+      case NabtoPacket.CMD_SETPOINT_WRITELIST:
+        this._handleSetpointWrite(cmd, hdr, rinfo);
+        break;
+      default:
+        this.emit('request', { command: 'unknown', seqId: hdr.seqId, cmd: cmd.readUInt8(3) });
+    }
+  }
+
+  _handlePing(hdr, rinfo) {
+    this.emit('request', { command: 'ping', seqId: hdr.seqId });
+
+    const payload = Buffer.alloc(20);
+    payload.writeUInt32BE(this.modelInfo.deviceNumber, 0);
+    payload.writeUInt32BE(this.modelInfo.deviceModel, 4);
+    payload.writeUInt32BE(this.modelInfo.slaveDeviceNumber, 12);
+    payload.writeUInt32BE(this.modelInfo.slaveDeviceModel, 16);
+    this._replyData('ping', hdr, payload, this._takeFault('ping'), rinfo);
+  }
+
+  _handleDatapointRead(cmd, hdr, rinfo) {
+    const count = cmd.readUInt16BE(4);
+    const addresses = [];
+    for (let i = 0; i < count && 6 + i * 5 + 5 <= cmd.length; i++) {
+      addresses.push(cmd.readUInt32BE(6 + i * 5 + 1));
+    }
+    this.emit('request', { command: 'datapoints', seqId: hdr.seqId, addresses });
+
+    const fault = this._takeFault('datapoints');
+    const values = this._applyCountFault(addresses.map(a => this.getDatapoint(a)), fault);
+
+    // count(2) + int16 values
+    const payload = Buffer.alloc(2 + values.length * 2);
+    payload.writeUInt16BE(values.length, 0);
+    values.forEach((v, i) => payload.writeInt16BE(v, 2 + i * 2));
+    this._replyData('datapoints', hdr, payload, fault, rinfo);
+  }
+
+  _handleSetpointRead(cmd, hdr, rinfo) {
+    const count = cmd.readUInt16BE(4);
+    const addresses = [];
+    for (let i = 0; i < count && 6 + i * 3 + 3 <= cmd.length; i++) {
+      addresses.push(cmd.readUInt16BE(6 + i * 3 + 1));
+    }
+    this.emit('request', { command: 'setpoints', seqId: hdr.seqId, addresses });
+
+    const fault = this._takeFault('setpoints');
+    const values = this._applyCountFault(addresses.map(a => this.getSetpoint(a)), fault);
+
+    // skip(1) + count(2) + uint16 values
+    const payload = Buffer.alloc(3 + values.length * 2);
+    payload.writeUInt16BE(values.length, 1);
+    values.forEach((v, i) => payload.writeUInt16BE(v & 0xFFFF, 3 + i * 2));
+    this._replyData('setpoints', hdr, payload, fault, rinfo);
+  }
+
+  _handleSetpointWrite(cmd, hdr, rinfo) {
+    const count = cmd.readUInt16BE(4);
+    const entries = [];
+    for (let i = 0; i < count && 6 + i * 7 + 7 <= cmd.length; i++) {
+      const base = 6 + i * 7;
+      entries.push({
+        id: cmd.readUInt8(base),
+        param: cmd.readUInt32BE(base + 1),
+        value: cmd.readUInt16BE(base + 5)
+      });
+    }
+    this.emit('request', { command: 'write', seqId: hdr.seqId, entries });
+
+    const fault = this._takeFault('write');
+    // A dropped or rejected write never reaches the register table
+    if (!fault || (fault.type !== 'drop' && fault.type !== 'reject')) {
+      for (const entry of entries) {
+        const address = this.writeAliases.has(entry.param) ? this.writeAliases.get(entry.param) : entry.param;
+        this.setSetpoint(address, entry.value);
+      }
+      this.emit('write', entries);
+    }
+
+    const payload = Buffer.alloc(3);
+    payload.writeUInt16BE(entries.length, 1);
+    this._replyData('write', hdr, payload, fault, rinfo);
+  }
+
+  _applyCountFault(values, fault) {
+    if (!fault || fault.type !== 'count') return values;
+    const count = fault.count !== undefined ? fault.count : values.length - 1;
+    return values.slice(0, Math.max(0, count));
+  }
+
+  _replyData(command, hdr, payload, fault, rinfo) {
+    let flags = NabtoPacket.FLAG_RESPONSE;
+    if (fault && fault.type === 'reject') {
+      // The exception code replaces the command's response
+      flags |= NabtoPacket.FLAG_EXCEPTION;
+      payload = Buffer.alloc(4);
+      payload.writeUInt32BE(fault.code !== undefined ? fault.code : NabtoPacket.EXCEPTION_NO_ACCESS, 0);
+    }
+
+    const crypt = NabtoPacket.buildCryptPayload(payload);
+    const totalLen = NabtoPacket.HDR_SIZE + crypt.length + 2; // +2 for checksum
+    const body = Buffer.concat([
+      NabtoPacket.buildHeader(hdr.clientId, this.serverId, NabtoPacket.TYPE_DATA,
+        flags, hdr.seqId, totalLen),
+      crypt
+    ]);
+    let response = Buffer.concat([body, NabtoPacket.computeChecksum(body)]);
+
+    if (fault && fault.type === 'short') {
+      // Cut terminator + checksum and the trailing values
+      const cut = 3 + 2 * (fault.values || 1);
+      response = response.slice(0, Math.max(NabtoPacket.HDR_SIZE, response.length - cut));
+    }
+
+    this._reply(command, response, rinfo, fault);
+  }
+
+  _reply(command, response, rinfo, fault = this._takeFault(command)) {
+    if (!this.socket) return;
+
+    if (fault && fault.type === 'drop') {
+      this.emit('fault', { command, fault });
+      return;
+    }
+
+    const send = () => {
+      if (!this.socket) return;
+      this.socket.send(response, 0, response.length, rinfo.port, rinfo.address);
+    };
+
+    if (fault) this.emit('fault', { command, fault });
+
+    if (fault && fault.type === 'delay') {
+      setTimeout(send, fault.delay || 0);
+    } else {
+      send();
+    }
+  }
+}
+
+module.exports = NabtoSimulator;
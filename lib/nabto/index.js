@@ -1,13 +1,23 @@
 'use strict';
 
+const NabtoCapture = require('./NabtoCapture');
 const NabtoClient = require('./NabtoClient');
 const NabtoConnection = require('./NabtoConnection');
 const NabtoDiscovery = require('./NabtoDiscovery');
+const NabtoErrors = require('./NabtoErrors');
 const NabtoPacket = require('./NabtoPacket');
+const NabtoReplay = require('./NabtoReplay');
+const NabtoRequestScheduler = require('./NabtoRequestScheduler');
+const NabtoSimulator = require('./NabtoSimulator');
 
 module.exports = {
+  NabtoCapture,
   NabtoClient,
   NabtoConnection,
   NabtoDiscovery,
-  NabtoPacket
+  NabtoPacket,
+  NabtoReplay,
+  NabtoRequestScheduler,
+  NabtoSimulator,
+  ...NabtoErrors
 };
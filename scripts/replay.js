@@ -0,0 +1,51 @@
+'use strict';
+
+// Usage: node scripts/replay.js <capture.json> [optima270|optima251] [seconds]
+// Feeds a packet capture through a GenvexDevice and logs what it makes of it.
+
+const fs = require('fs');
+const { NabtoCapture, NabtoReplay } = require('../lib/nabto');
+const { GenvexDevice, getModelById } = require('../lib/genvex');
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: node scripts/replay.js <capture.json> [model] [seconds]');
+  process.exit(1);
+}
+
+const capture = NabtoCapture.fromJSON(fs.readFileSync(file, 'utf8'));
+const modelId = process.argv[3] || capture.meta.model || 'optima270';
+const entry = getModelById(modelId);
+if (!entry) {
+  console.error(`Unknown model: ${modelId}`);
+  process.exit(1);
+}
+const seconds = Number(process.argv[4]) || 15;
+
+const replay = new NabtoReplay(capture);
+replay.on('miss', ({ key }) => console.log('not in capture', key));
+
+replay.start().then(async ({ address, port }) => {
+  console.log(`Replaying ${capture.getEntries().length} datagrams as ${modelId} on ${address}:${port}`);
+
+  const device = new GenvexDevice({
+    deviceId: capture.meta.deviceId || 'replay',
+    ip: address,
+    port,
+    email: 'replay@localhost',
+    model: entry.model
+  });
+  device.on('data', ({ name, value }) => console.log('data', name, value));
+  device.on('error', (err) => console.log('error', err.message));
+
+  try {
+    await device.connect();
+    device.connection.on('unhandled', ({ reason }) => console.log('unhandled', reason));
+    await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+  } catch (err) {
+    console.log('connect failed', err.message);
+  } finally {
+    device.disconnect();
+    await replay.stop();
+  }
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+// Usage: node scripts/simulate.js [optima270|optima251] [port]
+// Runs a simulated unit on the network for the app to pair with.
+
+const { NabtoSimulator } = require('../lib/nabto');
+const { getModelById } = require('../lib/genvex');
+
+const modelId = process.argv[2] || 'optima270';
+const entry = getModelById(modelId);
+if (!entry) {
+  console.error(`Unknown model: ${modelId}`);
+  process.exit(1);
+}
+
+const sim = NabtoSimulator.fromModel(entry.model, {
+  port: Number(process.argv[3]) || 5570,
+  address: '0.0.0.0',
+  values: {
+    supplyTemperature: 19.5,
+    outsideTemperature: 5.0,
+    exhaustTemperature: 8.0,
+    extractTemperature: 21.5,
+    humidity: 45,
+    fanSpeed: 2,
+    temperatureSetpoint: 21
+  }
+});
+sim.on('request', (req) => console.log('request', JSON.stringify(req)));
+sim.start().then(({ address, port }) => {
+  console.log(`Simulating ${modelId} as ${sim.deviceId} on ${address}:${port}`);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmHistory } = require('../lib/genvex');
+
+describe('AlarmHistory', () => {
+  it('raises an alarm once and records it when it clears', () => {
+    const history = new AlarmHistory({ model: 'optima270' });
+    const events = [];
+    history.on('raised', ({ code, category }) => events.push(`raised ${code} ${category}`));
+    history.on('cleared', ({ code, duration }) => events.push(`cleared ${code} after ${duration}`));
+
+    history.update([4], 1000);
+    history.update([4], 2000);
+    assert.deepEqual(history.getActive().map(alarm => alarm.code), [4]);
+    history.update([], 5000);
+
+    assert.deepEqual(events, ['raised 4 fan', 'cleared 4 after 4000']);
+    assert.deepEqual(history.getActive(), []);
+    assert.deepEqual(history.getHistory().map(e => [e.code, e.raisedAt, e.clearedAt]), [[4, 1000, 5000]]);
+  });
+
+  it('raises and clears each of several concurrent alarms on its own', () => {
+    const history = new AlarmHistory({ model: 'optima270' });
+    const events = [];
+    history.on('raised', ({ code }) => events.push(`raised ${code}`));
+    history.on('cleared', ({ code, duration }) => events.push(`cleared ${code} after ${duration}`));
+
+    history.update([2, 13], 1000);
+    history.update([13], 5000);
+    history.update([], 9000);
+
+    assert.deepEqual(events, ['raised 2', 'raised 13', 'cleared 2 after 4000', 'cleared 13 after 8000']);
+    assert.deepEqual(history.getActive(), []);
+    assert.deepEqual(history.getHistory().map(e => [e.code, e.clearedAt]), [[13, 9000], [2, 5000]]);
+  });
+
+  it('picks up alarms still active after a restart', () => {
+    const first = new AlarmHistory({ model: 'optima270' });
+    let state;
+    first.on('state', s => { state = s; });
+    first.update([4], 1000);
+
+    const second = new AlarmHistory({ model: 'optima270', state });
+    const raised = [];
+    second.on('raised', e => raised.push(e.code));
+    second.update([4], 2000);
+    assert.deepEqual(raised, []);
+    assert.equal(second.getActive()[0].raisedAt, 1000);
+  });
+});
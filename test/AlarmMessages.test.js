@@ -0,0 +1,47 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeAlarms, getAlarmInfo, AlarmSeverity } = require('../lib/genvex/AlarmMessages');
+const { AlarmEncoding, Optima270Model, Optima251Model } = require('../lib/genvex');
+
+describe('decodeAlarms', () => {
+  it('reads a bitmask word as one code per set bit', () => {
+    assert.deepEqual(decodeAlarms(0, { encoding: AlarmEncoding.BITMASK }), []);
+    assert.deepEqual(decodeAlarms(1, { encoding: AlarmEncoding.BITMASK }), [1]);
+    assert.deepEqual(decodeAlarms(3, { encoding: AlarmEncoding.BITMASK }), [1, 2]);
+    assert.deepEqual(decodeAlarms(4098, { encoding: AlarmEncoding.BITMASK }), [2, 13]);
+  });
+
+  it('reads a code word as a single code', () => {
+    assert.deepEqual(decodeAlarms(0, { encoding: AlarmEncoding.CODE }), []);
+    assert.deepEqual(decodeAlarms(3, { encoding: AlarmEncoding.CODE }), [3]);
+    assert.deepEqual(decodeAlarms(3), [3]);
+  });
+
+  it('matches the encoding each model declares', () => {
+    assert.equal(Optima270Model.datapoints.ALARM.alarmEncoding, AlarmEncoding.BITMASK);
+    assert.equal(Optima251Model.datapoints.ALARM.alarmEncoding, AlarmEncoding.CODE);
+  });
+});
+
+describe('getAlarmInfo', () => {
+  it('describes known codes per model and language', () => {
+    const info = getAlarmInfo(4, { model: 'optima270', language: 'en' });
+    assert.equal(info.known, true);
+    assert.equal(info.category, 'fan');
+    assert.equal(info.severity, AlarmSeverity.CRITICAL);
+    assert.ok(info.message);
+    assert.ok(info.action);
+
+    assert.equal(getAlarmInfo(1, { model: 'optima251' }).category, 'filter');
+    assert.notEqual(getAlarmInfo(4, { language: 'da' }).message, info.message);
+  });
+
+  it('reports unknown codes as such', () => {
+    const info = getAlarmInfo(99, { model: 'optima270' });
+    assert.equal(info.known, false);
+    assert.equal(info.category, 'other');
+    assert.match(info.message, /99/);
+  });
+});
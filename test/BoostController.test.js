@@ -0,0 +1,113 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BoostController } = require('../lib/genvex');
+
+// A unit whose fan level setLevel changes; fails the next `failures` calls
+function fakeUnit(level = 2) {
+  const unit = {
+    level,
+    failures: 0,
+    setLevel: async (value) => {
+      if (unit.failures > 0) {
+        unit.failures--;
+        throw new Error('write failed');
+      }
+      unit.level = value;
+    },
+    getLevel: () => unit.level
+  };
+  return unit;
+}
+
+// events.once() rejects on 'error', which these tests expect along the way
+const ended = (boost) => new Promise(resolve => boost.once('ended', resolve));
+
+describe('BoostController', () => {
+  it('boosts and reverts to the previous level when cancelled', async () => {
+    const unit = fakeUnit(2);
+    const boost = new BoostController({ setLevel: unit.setLevel, getLevel: unit.getLevel });
+    const states = [];
+    boost.on('state', state => states.push(state));
+
+    await boost.start(4, 30);
+    assert.equal(unit.level, 4);
+    assert.equal(boost.isActive(), true);
+    assert.equal(boost.getRemainingMinutes(), 30);
+    assert.equal(states[0].previousLevel, 2);
+
+    const done = ended(boost);
+    assert.equal(await boost.cancel(), true);
+    assert.deepEqual(await done, { reason: 'cancelled', level: 4, previousLevel: 2 });
+    assert.equal(unit.level, 2);
+    assert.equal(states.at(-1), null);
+    assert.equal(await boost.cancel(), false);
+  });
+
+  it('keeps the first previous level when boosted again', async () => {
+    const unit = fakeUnit(1);
+    const boost = new BoostController({ setLevel: unit.setLevel, getLevel: unit.getLevel });
+    await boost.start(3, 10);
+    await boost.start(4, 10);
+    await boost.cancel();
+    assert.equal(unit.level, 1);
+  });
+
+  it('refuses to boost without a known level or duration', async () => {
+    const boost = new BoostController({ setLevel: async () => {}, getLevel: () => null });
+    await assert.rejects(boost.start(4, 10), /fan level unknown/);
+    await assert.rejects(boost.start(4, 0), /Invalid boost duration/);
+  });
+
+  it('reverts a restored boost that has expired', async () => {
+    const unit = fakeUnit(4);
+    const boost = new BoostController({ setLevel: unit.setLevel, getLevel: unit.getLevel });
+    const done = ended(boost);
+    boost.restore({ level: 4, previousLevel: 2, endsAt: Date.now() - 1000 });
+    assert.equal((await done).reason, 'expired');
+    assert.equal(unit.level, 2);
+    boost.destroy();
+  });
+
+  it('retries a failed revert from its timer without an unhandled rejection', async () => {
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      const unit = fakeUnit(4);
+      unit.failures = 1;
+      const boost = new BoostController({ setLevel: unit.setLevel, getLevel: unit.getLevel, retryInterval: 10 });
+      const errors = [];
+      boost.on('error', err => errors.push(err));
+
+      const done = ended(boost);
+      boost.restore({ level: 4, previousLevel: 2, endsAt: Date.now() + 5 });
+      await done;
+      // Let a stray rejection surface
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(errors.length, 1);
+      assert.equal(unit.level, 2);
+      assert.equal(boost.isActive(), false);
+      assert.deepEqual(unhandled, []);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('rejects cancel() when the revert fails, and keeps retrying', async () => {
+    const unit = fakeUnit(2);
+    const boost = new BoostController({ setLevel: unit.setLevel, getLevel: unit.getLevel, retryInterval: 10 });
+    boost.on('error', () => {});
+    await boost.start(4, 30);
+
+    unit.failures = 1;
+    await assert.rejects(boost.cancel(), /write failed/);
+    assert.equal(boost.isActive(), true);
+
+    await ended(boost);
+    assert.equal(unit.level, 2);
+  });
+});
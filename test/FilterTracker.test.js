@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FilterTracker } = require('../lib/genvex');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+describe('FilterTracker', () => {
+  it('counts days from the last reset and warns ahead of the due date', () => {
+    const filter = new FilterTracker({ intervalDays: 90, warningDays: 14 });
+    const due = [];
+    filter.on('due', e => due.push(e));
+
+    filter.reset(START);
+    assert.equal(filter.getDaysLeft(START + 10 * DAY), 80);
+
+    filter.update(START + 75 * DAY);
+    assert.equal(due.length, 0);
+    filter.update(START + 76 * DAY);
+    assert.deepEqual(due, [{ daysSince: 76, daysLeft: 14 }]);
+
+    filter.update(START + 77 * DAY);
+    assert.equal(due.length, 1, 'warned twice');
+  });
+
+  it('follows the unit\'s counter and records a reset on the panel', () => {
+    const filter = new FilterTracker({ intervalDays: 90 });
+    const resets = [];
+    filter.on('reset', e => resets.push(e));
+
+    filter.setUnitDays(40, START);
+    assert.equal(filter.getDaysSince(), 40);
+    filter.setUnitDays(2, START + DAY);
+    assert.deepEqual(resets, [{ date: START - DAY, source: 'unit' }]);
+    assert.equal(filter.getDaysLeft(), 88);
+  });
+
+  it('does not take its own reset for a panel reset', () => {
+    const filter = new FilterTracker();
+    const resets = [];
+    filter.on('reset', e => resets.push(e.source));
+
+    filter.setUnitDays(40, START);
+    filter.reset(START + 1000);
+    filter.setUnitDays(0, START + 2000);
+    assert.deepEqual(resets, ['app']);
+  });
+
+  it('hands back its state', () => {
+    const first = new FilterTracker();
+    let state;
+    first.on('state', s => { state = s; });
+    first.reset(START);
+
+    const second = new FilterTracker({ state });
+    assert.equal(second.lastReset, START);
+    assert.deepEqual(second.getHistory(), [{ date: START, source: 'app' }]);
+  });
+});
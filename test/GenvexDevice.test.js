@@ -0,0 +1,174 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NabtoSimulator, NabtoPacket } = require('../lib/nabto');
+const { GenvexDevice, Optima270Model, ErrorCode, PollTier } = require('../lib/genvex');
+
+const HOUR = 60 * 60 * 1000;
+
+// Names of the registers in a poll tier
+function tierNames(tier) {
+  const datapoints = Optima270Model.getDatapointRequestList(tier).keys.map(key => Optima270Model.datapoints[key].name);
+  const setpoints = Optima270Model.getSetpointRequestList(tier).keys.map(key => Optima270Model.setpoints[key].name);
+  return [...datapoints, ...setpoints].sort();
+}
+
+describe('GenvexDevice', () => {
+  let sim;
+  let device;
+
+  beforeEach(async () => {
+    sim = NabtoSimulator.fromModel(Optima270Model, {
+      port: 0,
+      values: { supplyTemperature: 19.5, humidity: 45, fanSpeed: 2, temperatureSetpoint: 21 }
+    });
+    const { port } = await sim.start();
+    device = new GenvexDevice({
+      deviceId: sim.deviceId,
+      ip: '127.0.0.1',
+      port,
+      email: 'user@example.com',
+      model: Optima270Model,
+      // Only the polls a test asks for
+      pollIntervals: { fast: HOUR, normal: HOUR, slow: HOUR },
+      verifyDelay: 0
+    });
+    device.on('error', () => {});
+
+    const polled = new Promise(resolve => device.once('polled', resolve));
+    await device.connect();
+    await polled;
+    device.connection.requestTimeout = 100;
+    device.connection.scheduler.retryDelay = 1;
+  });
+
+  afterEach(async () => {
+    device.disconnect();
+    await sim.stop();
+  });
+
+  it('converts polled registers to display values', () => {
+    assert.equal(device.getValue('supplyTemperature'), 19.5);
+    assert.equal(device.getValue('humidity'), 45);
+    assert.equal(device.getValue('fanSpeed'), 2);
+  });
+
+  it('polls only the registers of the tier asked for', async () => {
+    const fast = tierNames(PollTier.FAST);
+    assert.ok(fast.length > 0);
+    assert.ok(fast.length < tierNames().length);
+
+    device.data.clear();
+    await device.poll(PollTier.FAST);
+    assert.deepEqual([...device.data.keys()].filter(name => fast.includes(name)).sort(), fast);
+    assert.ok(!device.data.has('fanSpeed'), 'slow setpoint polled with the fast tier');
+  });
+
+  it('reports which tier a poll read', async () => {
+    const tiers = [];
+    device.on('polled', (data, tier) => tiers.push(tier));
+    await device.poll(PollTier.FAST);
+    await device.poll(PollTier.NORMAL);
+    await device.poll();
+    assert.deepEqual(tiers, [PollTier.FAST, PollTier.NORMAL, null]);
+  });
+
+  it('writes several setpoints in one request', async () => {
+    const writes = [];
+    sim.on('write', entries => writes.push(entries));
+
+    const results = await device.setValues({ fanSpeed: 3, temperatureSetpoint: 22 });
+    assert.deepEqual(results, {
+      fanSpeed: { success: true, value: 3 },
+      temperatureSetpoint: { success: true, value: 22 }
+    });
+    assert.equal(writes.length, 1);
+    assert.equal(sim.getValue('fanSpeed'), 3);
+    assert.equal(sim.getValue('temperatureSetpoint'), 22);
+    assert.equal(device.getValue('fanSpeed'), 3);
+  });
+
+  it('refuses values outside the register limits before sending', async () => {
+    await assert.rejects(device.setValue('fanSpeed', 9), (err) => {
+      assert.equal(err.code, ErrorCode.VALIDATION);
+      assert.equal(err.setpoint, 'fanSpeed');
+      return true;
+    });
+    await assert.rejects(device.setValues({ noSuchSetpoint: 1 }), { code: ErrorCode.VALIDATION });
+  });
+
+  it('refuses values that are not numbers before sending', async () => {
+    const writes = [];
+    sim.on('write', entries => writes.push(entries));
+
+    for (const value of [NaN, undefined, 'fast', Infinity]) {
+      await assert.rejects(device.setValues({ fanSpeed: 3, temperatureSetpoint: value }), { code: ErrorCode.VALIDATION });
+    }
+    assert.deepEqual(writes, []);
+    assert.equal(sim.getValue('fanSpeed'), 2);
+  });
+
+  it('verifies writes and retries those that did not stick', async () => {
+    let writes = 0;
+    sim.on('write', () => {
+      // The unit ignores the first write
+      if (++writes === 1) sim.setValue('fanSpeed', 2);
+    });
+
+    await device.setValue('fanSpeed', 4, { verify: true });
+    assert.equal(writes, 2);
+    assert.equal(sim.getValue('fanSpeed'), 4);
+  });
+
+  it('rejects a write that never reads back and restores the value', async () => {
+    sim.on('write', () => sim.setValue('fanSpeed', 2));
+
+    await assert.rejects(device.setValue('fanSpeed', 4, { verify: true }), (err) => {
+      assert.equal(err.code, ErrorCode.RESPONSE_MISMATCH);
+      assert.equal(err.expected, 4);
+      assert.equal(err.received, 2);
+      return true;
+    });
+    assert.equal(device.getValue('fanSpeed'), 2);
+  });
+
+  it('reports a batched write that never reads back, with the value it read', async () => {
+    sim.on('write', () => sim.setValue('fanSpeed', 2));
+
+    const results = await device.setValues({ fanSpeed: 4 }, { verify: true });
+    assert.equal(results.fanSpeed.success, false);
+    assert.equal(results.fanSpeed.code, ErrorCode.RESPONSE_MISMATCH);
+    assert.equal(results.fanSpeed.received, 2);
+    assert.equal(device.getValue('fanSpeed'), 2);
+  });
+
+  it('fails a rejected write at once, with the unit\'s reason', async () => {
+    sim.addFault({ command: 'write', type: 'reject' });
+    const results = await device.setValues({ fanSpeed: 3 }, { verify: true });
+    assert.equal(results.fanSpeed.success, false);
+    assert.equal(results.fanSpeed.code, ErrorCode.DEVICE_REJECTED);
+    assert.equal(results.fanSpeed.deviceCode, NabtoPacket.EXCEPTION_NO_ACCESS);
+    assert.equal(sim.getValue('fanSpeed'), 2);
+  });
+
+  it('reconnects after consecutive poll failures, but not for rejections', async () => {
+    const errors = [];
+    device.on('error', err => errors.push(err));
+    let disconnected = false;
+    device.on('disconnected', () => { disconnected = true; });
+
+    sim.addFault({ command: 'datapoints', type: 'reject', times: 3 });
+    for (let i = 0; i < 3; i++) await device.poll(PollTier.FAST);
+    assert.equal(disconnected, false);
+    assert.ok(errors.every(err => err.code === ErrorCode.DEVICE_REJECTED));
+
+    sim.addFault({ command: 'datapoints', type: 'drop', times: Infinity });
+    for (let i = 0; i < device.maxConsecutiveErrors; i++) await device.poll(PollTier.FAST);
+    const failed = errors.find(err => err.code === ErrorCode.POLL_FAILED);
+    assert.ok(failed, 'no poll failure reported');
+    assert.equal(failed.failures, device.maxConsecutiveErrors);
+    assert.equal(failed.cause.code, ErrorCode.REQUEST_TIMEOUT);
+    assert.equal(disconnected, true);
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { HumidityController } = require('../lib/genvex');
+
+const MINUTE = 60000;
+
+function controller(options = {}) {
+  const unit = { level: 2 };
+  const humidity = new HumidityController({
+    setLevel: async (level) => { unit.level = level; },
+    getLevel: () => unit.level,
+    minSamples: 3,
+    ...options
+  });
+  return { unit, humidity };
+}
+
+// Three readings at `value` to build the baseline, one a minute
+async function baseline(humidity, value, start = 0) {
+  for (let i = 0; i < 3; i++) await humidity.update(value, start + i * MINUTE);
+}
+
+describe('HumidityController', () => {
+  it('raises the fan level on a jump above the baseline and restores it once down', async () => {
+    const { unit, humidity } = controller();
+    const events = [];
+    humidity.on('activated', e => events.push(['activated', e]));
+    humidity.on('deactivated', e => events.push(['deactivated', e]));
+
+    // Baseline 50, then 52 with this reading in it: raise at 62, restore at 57
+    await baseline(humidity, 50);
+    await humidity.update(58, 3 * MINUTE);
+    assert.equal(humidity.isActive(), false, 'raised below the rise threshold');
+
+    await humidity.update(62, 4 * MINUTE);
+    assert.equal(humidity.isActive(), true);
+    assert.equal(unit.level, 4);
+
+    await humidity.update(58, 5 * MINUTE);
+    assert.equal(humidity.isActive(), true, 'ended above the fall threshold');
+
+    await humidity.update(57, 6 * MINUTE);
+    assert.equal(humidity.isActive(), false);
+    assert.equal(unit.level, 2);
+    assert.deepEqual(events.map(([name]) => name), ['activated', 'deactivated']);
+    assert.equal(events[1][1].reason, 'recovered');
+  });
+
+  it('does not lower a level that is already high enough', async () => {
+    const { unit, humidity } = controller();
+    unit.level = 4;
+    await baseline(humidity, 50);
+    await humidity.update(70, 3 * MINUTE);
+    assert.equal(humidity.isActive(), false);
+  });
+
+  it('gives up after maxActiveMinutes', async () => {
+    const { unit, humidity } = controller({ maxActiveMinutes: 30 });
+    await baseline(humidity, 50);
+    await humidity.update(70, 3 * MINUTE);
+    await humidity.update(70, 40 * MINUTE);
+    assert.equal(humidity.isActive(), false);
+    assert.equal(unit.level, 2);
+  });
+
+  it('drops readings while the fan level is being raised', async () => {
+    const { unit, humidity } = controller();
+    const setLevel = humidity.setLevel;
+    const levels = [];
+    let release;
+    humidity.setLevel = (level) => {
+      levels.push(level);
+      return new Promise(resolve => { release = resolve; }).then(() => setLevel(level));
+    };
+
+    await baseline(humidity, 50);
+    const first = humidity.update(70, 3 * MINUTE);
+    await humidity.update(71, 3 * MINUTE + 1000);
+    release();
+    await first;
+
+    assert.deepEqual(levels, [4]);
+    assert.equal(unit.level, 4);
+    assert.equal(humidity.active.previousLevel, 2);
+  });
+
+  it('emits its active state and restores it after a restart', async () => {
+    const first = controller();
+    const states = [];
+    first.humidity.on('state', state => states.push(state));
+    await baseline(first.humidity, 50);
+    await first.humidity.update(70, 3 * MINUTE);
+    assert.deepEqual(states, [{ baseline: 50, previousLevel: 2, since: 3 * MINUTE }]);
+
+    // Restarted with the fan still raised
+    const second = controller();
+    second.unit.level = 4;
+    second.humidity.on('state', state => states.push(state));
+    second.humidity.restore(states[0]);
+    assert.equal(second.humidity.isActive(), true);
+
+    await second.humidity.update(52, 10 * MINUTE);
+    assert.equal(second.humidity.isActive(), false);
+    assert.equal(second.unit.level, 2);
+    assert.equal(states.at(-1), null);
+  });
+
+  it('ignores invalid persisted state', () => {
+    const { humidity } = controller();
+    humidity.restore(null);
+    humidity.restore({ baseline: 50 });
+    assert.equal(humidity.isActive(), false);
+  });
+
+  it('requires the fall threshold below the rise threshold', () => {
+    assert.throws(() => controller({ riseThreshold: 5, fallThreshold: 5 }), /fallThreshold/);
+  });
+
+  it('ends an active raise when paused', async () => {
+    const { unit, humidity } = controller();
+    await baseline(humidity, 50);
+    await humidity.update(70, 3 * MINUTE);
+    await humidity.pause(30);
+    assert.equal(humidity.isActive(), false);
+    assert.equal(unit.level, 2);
+    assert.equal(humidity.isPaused(), true);
+  });
+});
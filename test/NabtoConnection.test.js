@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NabtoConnection, NabtoPacket, NabtoSimulator, NabtoErrorCode } = require('../lib/nabto');
+const { Optima270Model } = require('../lib/genvex');
+
+const { TEMP_SUPPLY, HUMIDITY } = Optima270Model.datapoints;
+const DATAPOINTS = [
+  { obj: 0, address: TEMP_SUPPLY.address },
+  { obj: 0, address: HUMIDITY.address }
+];
+
+describe('NabtoPacket exception responses', () => {
+  it('parses the exception code and describes it', () => {
+    const payload = Buffer.alloc(4);
+    payload.writeUInt32BE(NabtoPacket.EXCEPTION_NO_ACCESS, 0);
+    assert.deepEqual(NabtoPacket.parseExceptionResponse(payload), {
+      code: NabtoPacket.EXCEPTION_NO_ACCESS,
+      reason: NabtoPacket.describeException(NabtoPacket.EXCEPTION_NO_ACCESS)
+    });
+  });
+
+  it('falls back for short payloads and unknown codes', () => {
+    assert.deepEqual(NabtoPacket.parseExceptionResponse(Buffer.alloc(2)), { code: null, reason: 'unknown exception' });
+    assert.equal(NabtoPacket.describeException(99), 'exception 99');
+  });
+});
+
+describe('NabtoConnection', () => {
+  let sim;
+  let conn;
+
+  beforeEach(async () => {
+    sim = NabtoSimulator.fromModel(Optima270Model, {
+      port: 0,
+      values: { supplyTemperature: 19.5, humidity: 45 }
+    });
+    const { port } = await sim.start();
+    conn = new NabtoConnection({
+      ip: '127.0.0.1',
+      port,
+      email: 'user@example.com',
+      deviceId: sim.deviceId,
+      requestTimeout: 100,
+      retryDelay: 1
+    });
+    await conn.connect();
+  });
+
+  afterEach(async () => {
+    conn.disconnect();
+    await sim.stop();
+  });
+
+  it('retries a request the unit did not answer', async () => {
+    sim.addFault({ command: 'datapoints', type: 'drop' });
+    const values = await conn.readDatapoints(['supply', 'humidity'], DATAPOINTS);
+    assert.equal(values.size, 2);
+  });
+
+  it('fails with a request timeout once the retries are used up', async () => {
+    sim.addFault({ command: 'datapoints', type: 'drop', times: Infinity });
+    await assert.rejects(
+      conn.readDatapoints(['supply'], DATAPOINTS.slice(0, 1), { retries: 1 }),
+      { code: NabtoErrorCode.REQUEST_TIMEOUT }
+    );
+  });
+
+  it('does not resend a write that timed out', async () => {
+    const writes = [];
+    sim.on('request', req => { if (req.command === 'write') writes.push(req); });
+    // Applied, but answered after the request timeout
+    sim.addFault({ command: 'write', type: 'delay', delay: 200 });
+
+    const { FAN_SPEED } = Optima270Model.setpoints;
+    await assert.rejects(
+      conn.writeSetpoints([{ id: 0, value: 3, param: FAN_SPEED.writeAddress }]),
+      { code: NabtoErrorCode.REQUEST_TIMEOUT }
+    );
+    assert.equal(writes.length, 1);
+  });
+
+  it('fails a rejected request with the unit\'s exception code', async () => {
+    sim.addFault({ command: 'setpoints', type: 'reject' });
+    await assert.rejects(
+      conn.readSetpoints(['fanSpeed'], [{ obj: 0, address: 0 }]),
+      (err) => {
+        assert.equal(err.name, 'DeviceRejectedError');
+        assert.equal(err.code, NabtoErrorCode.DEVICE_REJECTED);
+        assert.equal(err.deviceCode, NabtoPacket.EXCEPTION_NO_ACCESS);
+        assert.equal(err.retryable, false);
+        return true;
+      }
+    );
+  });
+
+  it('retries exceptions the unit may recover from', async () => {
+    sim.addFault({ command: 'datapoints', type: 'reject', code: NabtoPacket.EXCEPTION_NOT_READY });
+    const values = await conn.readDatapoints(['supply', 'humidity'], DATAPOINTS);
+    assert.equal(values.size, 2);
+  });
+
+  it('cancels pending requests on disconnect', async () => {
+    sim.addFault({ command: 'datapoints', type: 'drop', times: Infinity });
+    const request = conn.readDatapoints(['supply'], DATAPOINTS.slice(0, 1));
+    conn.disconnect();
+    await assert.rejects(request, { code: NabtoErrorCode.NOT_CONNECTED });
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { NabtoSimulator, NabtoCapture, NabtoReplay, NabtoPacket } = require('../lib/nabto');
+const { GenvexDevice, Optima270Model } = require('../lib/genvex');
+
+const HOUR = 60 * 60 * 1000;
+const EMAIL = 'user@example.com';
+const NAMES = ['supplyTemperature', 'humidity', 'fanSpeed', 'temperatureSetpoint'];
+
+// Connect a device to `port`, wait for its first poll and return its values
+async function session(deviceId, port, capture = null) {
+  const device = new GenvexDevice({
+    deviceId,
+    ip: '127.0.0.1',
+    port,
+    email: EMAIL,
+    model: Optima270Model,
+    pollIntervals: { fast: HOUR, normal: HOUR, slow: HOUR },
+    capture
+  });
+  device.on('error', () => {});
+
+  try {
+    const polled = new Promise(resolve => device.once('polled', resolve));
+    await device.connect();
+    await polled;
+    return Object.fromEntries(NAMES.map(name => [name, device.getValue(name)]));
+  } finally {
+    device.disconnect();
+  }
+}
+
+describe('NabtoReplay', () => {
+  it('plays back a captured session with the same values and no email', async () => {
+    const sim = NabtoSimulator.fromModel(Optima270Model, {
+      port: 0,
+      values: { supplyTemperature: 19.5, humidity: 45, fanSpeed: 2, temperatureSetpoint: 21 }
+    });
+    const capture = new NabtoCapture({ meta: { model: 'optima270' } });
+    let recorded;
+    try {
+      const { port } = await sim.start();
+      recorded = await session(sim.deviceId, port, capture);
+    } finally {
+      await sim.stop();
+    }
+    assert.deepEqual(recorded, { supplyTemperature: 19.5, humidity: 45, fanSpeed: 2, temperatureSetpoint: 21 });
+
+    const connect = capture.getEntries().find(entry => entry.header && entry.header.type === NabtoPacket.TYPE_U_CONNECT
+      && entry.direction === NabtoCapture.DIRECTION_SENT);
+    assert.ok(connect, 'connect request captured');
+    assert.ok(!Buffer.from(connect.hex, 'hex').includes(EMAIL));
+
+    const exported = NabtoCapture.fromJSON(JSON.stringify(capture.toJSON()));
+    assert.deepEqual(exported.getEntries(), capture.getEntries());
+    assert.deepEqual(exported.meta, { model: 'optima270' });
+
+    const replay = new NabtoReplay(exported);
+    const misses = [];
+    replay.on('miss', miss => misses.push(miss));
+    try {
+      const { port } = await replay.start();
+      assert.deepEqual(await session(sim.deviceId, port), recorded);
+    } finally {
+      await replay.stop();
+    }
+    assert.deepEqual(misses, []);
+  });
+
+  it('rejects exports it cannot read', () => {
+    assert.throws(() => NabtoCapture.fromJSON({}), /entries missing/);
+    assert.throws(() => NabtoCapture.fromJSON({ version: 99, entries: [] }), /Unsupported capture version/);
+  });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('node:events');
+const NabtoRequestScheduler = require('../lib/nabto/NabtoRequestScheduler');
+const { NabtoErrorCode, NotConnectedError, RequestTimeoutError } = require('../lib/nabto/NabtoErrors');
+
+// An attempt that only settles when aborted
+const hang = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true });
+});
+
+describe('NabtoRequestScheduler', () => {
+  it('runs queued requests by priority, FIFO within a priority', async () => {
+    const scheduler = new NabtoRequestScheduler();
+    const order = [];
+    let release;
+    const blocker = scheduler.enqueue(() => new Promise(resolve => { release = resolve; }));
+
+    const requests = [
+      scheduler.enqueue(async () => order.push('low'), { priority: NabtoRequestScheduler.PRIORITY_LOW }),
+      scheduler.enqueue(async () => order.push('normal 1')),
+      scheduler.enqueue(async () => order.push('high'), { priority: NabtoRequestScheduler.PRIORITY_HIGH }),
+      scheduler.enqueue(async () => order.push('normal 2'))
+    ];
+    assert.equal(scheduler.size, 5);
+
+    release();
+    await Promise.all([blocker, ...requests]);
+    assert.deepEqual(order, ['high', 'normal 1', 'normal 2', 'low']);
+    assert.equal(scheduler.size, 0);
+  });
+
+  it('keeps at most maxInFlight requests running', async () => {
+    const scheduler = new NabtoRequestScheduler({ maxInFlight: 2 });
+    let running = 0;
+    let peak = 0;
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    };
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.enqueue(task)));
+    assert.equal(peak, 2);
+  });
+
+  it('retries retryable errors with backoff, then gives up', async () => {
+    const scheduler = new NabtoRequestScheduler({ retries: 2, retryDelay: 1 });
+    const attempts = [];
+
+    await assert.rejects(
+      scheduler.enqueue(async (signal, attempt) => {
+        attempts.push(attempt);
+        throw new RequestTimeoutError('timeout');
+      }),
+      { code: NabtoErrorCode.REQUEST_TIMEOUT }
+    );
+    assert.deepEqual(attempts, [0, 1, 2]);
+  });
+
+  it('resolves with the first successful attempt', async () => {
+    const scheduler = new NabtoRequestScheduler({ retries: 3, retryDelay: 1 });
+    const result = await scheduler.enqueue(async (signal, attempt) => {
+      if (attempt < 2) throw new RequestTimeoutError('timeout');
+      return attempt;
+    });
+    assert.equal(result, 2);
+  });
+
+  it('fails on the first timeout when timeouts are not retried', async () => {
+    const scheduler = new NabtoRequestScheduler({ retries: 2, retryDelay: 1 });
+    const attempts = [];
+    await assert.rejects(
+      scheduler.enqueue(async (signal, attempt) => {
+        attempts.push(attempt);
+        throw new RequestTimeoutError('timeout');
+      }, { retryTimeouts: false }),
+      { code: NabtoErrorCode.REQUEST_TIMEOUT }
+    );
+    assert.deepEqual(attempts, [0]);
+
+    // Other retryable errors still are
+    const result = await scheduler.enqueue(async (signal, attempt) => {
+      if (attempt === 0) throw Object.assign(new Error('busy'), { retryable: true });
+      return attempt;
+    }, { retryTimeouts: false });
+    assert.equal(result, 1);
+  });
+
+  it('does not retry errors that are not retryable', async () => {
+    const scheduler = new NabtoRequestScheduler({ retries: 3, retryDelay: 1 });
+    let attempts = 0;
+    await assert.rejects(
+      scheduler.enqueue(async () => {
+        attempts++;
+        throw new Error('bad request');
+      }),
+      /bad request/
+    );
+    assert.equal(attempts, 1);
+  });
+
+  it('leaves no abort listener behind after backoff waits', async () => {
+    const scheduler = new NabtoRequestScheduler({ retries: 3, retryDelay: 1 });
+    const listeners = await scheduler.enqueue(async (signal, attempt) => {
+      if (attempt < 3) throw new RequestTimeoutError('timeout');
+      return getEventListeners(signal, 'abort').length;
+    });
+    assert.equal(listeners, 0);
+  });
+
+  it('cancels queued and in-flight requests through their signal', async () => {
+    const scheduler = new NabtoRequestScheduler();
+    const inFlightController = new AbortController();
+    const queuedController = new AbortController();
+    const inFlight = scheduler.enqueue(hang, { signal: inFlightController.signal });
+    const queued = scheduler.enqueue(hang, { signal: queuedController.signal });
+
+    queuedController.abort();
+    inFlightController.abort();
+
+    for (const request of [queued, inFlight]) {
+      await assert.rejects(request, (err) => {
+        assert.equal(err.name, 'RequestCancelledError');
+        assert.equal(err.code, NabtoErrorCode.REQUEST_CANCELLED);
+        return true;
+      });
+    }
+    assert.equal(scheduler.size, 0);
+  });
+
+  it('rejects with the reason when it is a Nabto error', async () => {
+    const scheduler = new NabtoRequestScheduler();
+    const requests = [scheduler.enqueue(hang), scheduler.enqueue(hang)];
+
+    scheduler.cancelAll(new NotConnectedError('Disconnected'));
+    for (const request of requests) {
+      await assert.rejects(request, { code: NabtoErrorCode.NOT_CONNECTED });
+    }
+  });
+
+  it('rejects right away when the signal is already aborted', async () => {
+    const scheduler = new NabtoRequestScheduler();
+    let ran = false;
+    await assert.rejects(
+      scheduler.enqueue(async () => { ran = true; }, { signal: AbortSignal.abort() }),
+      { code: NabtoErrorCode.REQUEST_CANCELLED }
+    );
+    assert.equal(ran, false);
+  });
+});
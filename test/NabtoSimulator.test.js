@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { NabtoConnection, NabtoSimulator, NabtoErrorCode } = require('../lib/nabto');
+const { Optima270Model } = require('../lib/genvex');
+
+const { TEMP_SUPPLY, HUMIDITY } = Optima270Model.datapoints;
+const DATAPOINTS = [
+  { obj: 0, address: TEMP_SUPPLY.address },
+  { obj: 0, address: HUMIDITY.address }
+];
+
+describe('NabtoSimulator', () => {
+  let sim;
+  let conn;
+
+  beforeEach(async () => {
+    sim = NabtoSimulator.fromModel(Optima270Model, {
+      port: 0,
+      values: { supplyTemperature: 19.5, humidity: 45 },
+      modelInfo: { deviceNumber: 79265, deviceModel: 2010 }
+    });
+    const { port } = await sim.start();
+    conn = new NabtoConnection({
+      ip: '127.0.0.1',
+      port,
+      email: 'user@example.com',
+      deviceId: sim.deviceId,
+      requestTimeout: 100,
+      retryDelay: 1
+    });
+    await conn.connect();
+  });
+
+  afterEach(async () => {
+    conn.disconnect();
+    await sim.stop();
+  });
+
+  it('answers the ping with the model it was given', async () => {
+    assert.equal(conn.isConnected(), true);
+    const modelInfo = await conn.waitForModel(1000);
+    assert.equal(modelInfo.deviceNumber, 79265);
+    assert.equal(modelInfo.deviceModel, 2010);
+  });
+
+  it('answers reads from its register table, keyed in request order', async () => {
+    const values = await conn.readDatapoints(['supply', 'humidity'], DATAPOINTS);
+    assert.equal(Optima270Model.convertDatapointValue(values.get('supply'), TEMP_SUPPLY), 19.5);
+    assert.equal(Optima270Model.convertDatapointValue(values.get('humidity'), HUMIDITY), 45);
+
+    sim.setValue('humidity', 60);
+    assert.equal(sim.getValue('humidity'), 60);
+    const updated = await conn.readDatapoints(['humidity'], DATAPOINTS.slice(1));
+    assert.equal(Optima270Model.convertDatapointValue(updated.get('humidity'), HUMIDITY), 60);
+  });
+
+  it('drops requests, so the connection times out', async () => {
+    const faults = [];
+    sim.on('fault', ({ command, fault }) => faults.push(`${command} ${fault.type}`));
+    sim.addFault({ command: 'datapoints', type: 'drop' });
+    await assert.rejects(
+      conn.readDatapoints(['supply'], DATAPOINTS.slice(0, 1), { retries: 0 }),
+      { code: NabtoErrorCode.REQUEST_TIMEOUT }
+    );
+    assert.deepEqual(faults, ['datapoints drop']);
+  });
+
+  it('answers with fewer values than asked for on short and count faults', async () => {
+    for (const type of ['short', 'count']) {
+      sim.addFault({ command: 'datapoints', type });
+      const values = await conn.readDatapoints(['supply', 'humidity'], DATAPOINTS, { retries: 0 });
+      assert.deepEqual([...values.keys()], ['supply'], type);
+    }
+  });
+
+  it('delays replies and applies only the faults asked for', async () => {
+    sim.addFault({ command: 'datapoints', type: 'delay', delay: 50 });
+    const start = Date.now();
+    await conn.readDatapoints(['supply'], DATAPOINTS.slice(0, 1));
+    assert.ok(Date.now() - start >= 45);
+
+    const values = await conn.readDatapoints(['supply', 'humidity'], DATAPOINTS);
+    assert.equal(values.size, 2);
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { WeekSchedule } = require('../lib/genvex');
+
+const PROGRAM = [
+  'mon-fri 06:30 3 21',
+  'mon-fri 22:00 1 19',
+  '# weekends',
+  'sat,sun 08:00 2'
+].join('\n');
+
+// 2024-01-01 was a Monday
+const at = (date, time) => Date.parse(`${date}T${time}:00Z`);
+
+function schedule(options = {}) {
+  const applied = [];
+  const week = new WeekSchedule({
+    apply: async (values) => { applied.push(values); },
+    slots: WeekSchedule.parse(PROGRAM),
+    enabled: true,
+    ...options
+  });
+  return { week, applied };
+}
+
+describe('WeekSchedule', () => {
+  it('parses days, times, levels and optional temperatures', () => {
+    const slots = WeekSchedule.parse(PROGRAM);
+    assert.equal(slots.length, 3);
+    assert.deepEqual(slots[0], { days: [0, 1, 2, 3, 4], time: '06:30', minutes: 390, level: 3, temperature: 21 });
+    assert.deepEqual(slots[2].days, [5, 6]);
+    assert.equal(slots[2].temperature, null);
+  });
+
+  it('names the first invalid line', () => {
+    assert.throws(() => WeekSchedule.parse('daily 07:00 2\nmon 25:00 2'), /line 2 .*invalid time/);
+    assert.throws(() => WeekSchedule.parse('someday 07:00 2'), /unknown days/);
+    assert.throws(() => WeekSchedule.parse('daily 07:00 5', { level: [1, 4] }), /fan level must be 1-4/);
+    assert.throws(() => WeekSchedule.parse('daily 07:00 2 40', { temperature: [10, 30] }), /temperature must be 10-30/);
+  });
+
+  it('picks the slot that started most recently, across the week boundary', () => {
+    const { week } = schedule();
+    assert.equal(week.getCurrentSlot(at('2024-01-03', '12:00')).slot.level, 3);
+    assert.equal(week.getCurrentSlot(at('2024-01-03', '23:00')).slot.level, 1);
+    assert.equal(week.getCurrentSlot(at('2024-01-06', '07:00')).slot.level, 1, 'Saturday before 08:00 is still Friday night');
+    assert.equal(week.getCurrentSlot(at('2024-01-08', '05:00')).slot.level, 2, 'Monday before 06:30 is still the weekend');
+  });
+
+  it('applies a slot once, so a manual change holds until the next one', async () => {
+    const { week, applied } = schedule();
+    await week.check(at('2024-01-03', '12:00'));
+    await week.check(at('2024-01-03', '13:00'));
+    assert.deepEqual(applied, [{ level: 3, temperature: 21, source: 'slot' }]);
+
+    await week.check(at('2024-01-03', '22:01'));
+    assert.equal(applied.length, 2);
+    assert.equal(applied[1].level, 1);
+  });
+
+  it('skips a check while the previous one is still applying', async () => {
+    const applied = [];
+    let release;
+    const week = new WeekSchedule({
+      apply: (values) => new Promise(resolve => { release = resolve; }).then(() => applied.push(values)),
+      slots: WeekSchedule.parse(PROGRAM),
+      enabled: true
+    });
+
+    const first = week.check(at('2024-01-03', '12:00'));
+    await week.check(at('2024-01-03', '12:01'));
+    release();
+    await first;
+    assert.equal(applied.length, 1);
+  });
+
+  it('uses local time in its timezone', () => {
+    const { week } = schedule({ timezone: 'Europe/Copenhagen' });
+    // 05:45 UTC is 06:45 in Copenhagen in winter
+    assert.equal(week.getCurrentSlot(at('2024-01-03', '05:45')).slot.level, 3);
+  });
+
+  it('keeps a holiday in force until it ends, then applies the program again', async () => {
+    const { week, applied } = schedule();
+    const until = Date.now() + 60000;
+    await week.setHoliday({ until, level: 1, temperature: 16 });
+    assert.equal(week.isHoliday(), true);
+    assert.deepEqual(applied, [{ level: 1, temperature: 16, source: 'holiday' }]);
+
+    await week.check(until + 1);
+    assert.equal(week.isHoliday(), false);
+    assert.equal(applied.at(-1).source, 'slot');
+  });
+
+  it('restores the last applied slot, so a restart does not reapply it', async () => {
+    const first = schedule();
+    const states = [];
+    first.week.on('state', state => states.push(state));
+    await first.week.check(at('2024-01-03', '12:00'));
+
+    const second = schedule({ state: states.at(-1) });
+    await second.week.check(at('2024-01-03', '12:30'));
+    assert.deepEqual(second.applied, []);
+  });
+
+  it('retries an apply that failed at the next check', async () => {
+    let fail = true;
+    const week = new WeekSchedule({
+      apply: async () => { if (fail) throw new Error('offline'); },
+      slots: WeekSchedule.parse(PROGRAM),
+      enabled: true
+    });
+    const errors = [];
+    week.on('error', err => errors.push(err));
+
+    await week.check(at('2024-01-03', '12:00'));
+    assert.equal(errors.length, 1);
+    fail = false;
+    const applied = new Promise(resolve => week.once('applied', resolve));
+    await week.check(at('2024-01-03', '12:01'));
+    assert.equal((await applied).level, 3);
+  });
+});